@@ -0,0 +1,152 @@
+/*
+  ═══════════════════════════════════════════════════
+  BANK.JS — Offline Puzzle Bank
+  ═══════════════════════════════════════════════════
+  Keeps a few ready-made puzzles per difficulty in
+  IndexedDB so newGame() can start one instantly, even
+  offline. The bank is filled one puzzle at a time with
+  Engine.generateAsync() while the page is idle, and
+  topped up again whenever a game starts.
+
+  STORAGE  (IndexedDB 'sudokulab-bank')
+    puzzles  { key, kind, result }  — ready to play
+    served   { key }                — every puzzle handed out
+    key  = layout + givens, so a puzzle is stored once
+    kind = difficulty|size|variant|symmetry of the request
+  A puzzle whose key is in served is never stored again,
+  so the bank cannot hand out the same puzzle twice.
+
+  Without IndexedDB (private mode, file://, old browsers)
+  take() always misses and the caller generates as before.
+
+  DEPENDS ON
+    Engine.generateAsync() — at call time
+
+  PUBLIC API
+    Bank.TARGET                     — puzzles kept per difficulty
+    Bank.take(difficulty, opts, cb) — cb(result), or cb(null) on a miss
+                                      opts = { size, variant, symmetry }
+    Bank.refill(difficulties, opts) — top each one up to TARGET when idle
+    Bank.pause()                    — stop filling; a game needs the worker
+  ═══════════════════════════════════════════════════
+*/
+const Bank = (function () {
+
+  const DB_NAME = 'sudokulab-bank';
+  const TARGET  = 3;
+  const IDLE_MS = 2000;   /* wait after a game starts before filling */
+
+  let dbp   = null;   /* Promise<IDBDatabase|null>, opened once */
+  let want  = null;   /* { difficulties, opts } still to top up */
+  let job   = null;   /* generateAsync job in flight */
+  let timer = null;
+  let token = 0;      /* bumped by pause() so stale callbacks drop out */
+
+  const kindOf = (difficulty, { size, variant, symmetry }) =>
+    [difficulty, size, variant, symmetry].join('|');
+  const keyOf  = result => JSON.stringify([result.layout, result.puzzle]);
+  const whenIdle = typeof requestIdleCallback === 'function'
+    ? f => requestIdleCallback(f, { timeout: IDLE_MS * 5 })
+    : f => setTimeout(f, 0);
+
+  function open() {
+    if (dbp) return dbp;
+    dbp = new Promise(resolve => {
+      let req;
+      try { req = indexedDB.open(DB_NAME, 1); }
+      catch (e) { resolve(null); return; }   /* missing or blocked by privacy settings */
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        db.createObjectStore('puzzles', { keyPath: 'key' }).createIndex('kind', 'kind');
+        db.createObjectStore('served', { keyPath: 'key' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => resolve(null);
+    });
+    return dbp;
+  }
+
+  /* ── Storage ─────────────────────────────────── */
+  function counts(db, kinds, cb) {
+    const tx  = db.transaction('puzzles');
+    const idx = tx.objectStore('puzzles').index('kind');
+    const out = kinds.map(() => 0);
+    kinds.forEach((k, i) => { const req = idx.count(k); req.onsuccess = () => { out[i] = req.result; }; });
+    tx.oncomplete = () => cb(out);
+    tx.onabort    = () => cb(null);
+  }
+
+  function store(db, kind, result, cb) {
+    const key  = keyOf(result);
+    const tx   = db.transaction(['puzzles', 'served'], 'readwrite');
+    const seen = tx.objectStore('served').get(key);
+    seen.onsuccess = () => { if (!seen.result) tx.objectStore('puzzles').put({ key, kind, result }); };
+    tx.oncomplete = tx.onabort = () => cb();
+  }
+
+  /* ── Filling ─────────────────────────────────────
+     One puzzle per step, for the emptiest difficulty,
+     then the next step is scheduled. Stops once every
+     difficulty holds TARGET puzzles.
+  ─────────────────────────────────────────────────── */
+  function schedule() {
+    if (job || timer || !want) return;
+    const t = token;
+    timer = setTimeout(() => whenIdle(() => { if (t === token) { timer = null; step(t); } }), IDLE_MS);
+  }
+
+  function step(t) {
+    if (t !== token || !want) return;
+    const { difficulties, opts } = want;
+    const kinds = difficulties.map(d => kindOf(d, opts));
+    job = { cancel() {} };   /* holds the slot while IndexedDB answers */
+    open().then(db => {
+      if (t !== token) return;
+      if (!db) { job = null; return; }
+      counts(db, kinds, have => {
+        if (t !== token) return;
+        const i = have ? have.indexOf(Math.min(...have)) : -1;
+        if (i < 0 || have[i] >= TARGET) { job = null; if (have) want = null; return; }
+        job = Engine.generateAsync(difficulties[i], result => {
+          job = null;
+          if (t !== token || !result) return;   /* nothing carved — the next refill tries again */
+          store(db, kinds[i], result, schedule);
+        }, opts);
+      });
+    });
+  }
+
+  /* ── PUBLIC ── */
+  function take(difficulty, opts, cb) {
+    open().then(db => {
+      if (!db) { cb(null); return; }
+      let result = null, done = false;
+      const finish = r => { if (!done) { done = true; cb(r); } };
+      const tx  = db.transaction(['puzzles', 'served'], 'readwrite');
+      const req = tx.objectStore('puzzles').index('kind').openCursor(kindOf(difficulty, opts));
+      req.onsuccess = () => {
+        const cur = req.result;
+        if (!cur) return;
+        result = cur.value.result;
+        tx.objectStore('served').put({ key: cur.value.key });
+        cur.delete();
+      };
+      tx.oncomplete = () => finish(result);
+      tx.onabort    = () => finish(null);
+    });
+  }
+
+  function refill(difficulties, opts) {
+    want = { difficulties, opts };
+    schedule();
+  }
+
+  function pause() {
+    token++;
+    clearTimeout(timer);
+    timer = null;
+    if (job) { job.cancel(); job = null; }
+  }
+
+  return { TARGET, take, refill, pause };
+})();
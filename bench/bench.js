@@ -0,0 +1,104 @@
+/*
+  ═══════════════════════════════════════════════════
+  BENCH/BENCH.JS — Engine Core Benchmark
+  ═══════════════════════════════════════════════════
+  Compares the bitmask core in engine.js against the
+  old scanning core in legacy.js on a fixed puzzle set.
+
+  RUN
+    node bench/bench.js
+
+  MEASURES (per puzzle, both cores)
+    solve   — countSolutions(puzzle, 2)
+    unique  — the generator's workload: blank each given
+              in turn and re-check uniqueness
+    cands   — candidates() for every empty cell, ×200
+  Each figure is the fastest of RUNS, after one untimed
+  run. The first calls into either core run before the
+  JIT has compiled it, and on a sub-millisecond task
+  (euler 01 solve) that alone can make the bitmask core
+  look slower than legacy.
+
+  engine.js is a browser script, so it is evaluated in a
+  vm context rather than required.
+  ═══════════════════════════════════════════════════
+*/
+const fs     = require('fs');
+const path   = require('path');
+const vm     = require('vm');
+const legacy = require('./legacy');
+
+const ctx = vm.createContext({ Math });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'engine.js'), 'utf8'), ctx);
+const Engine = vm.runInContext('Engine', ctx);
+
+/* ── Fixed puzzle set (81-char lines, '.' = blank) ── */
+const PUZZLES = {
+  'euler 01':       '..3.2.6..9..3.5..1..18.64....81.29..7.......8..67.82....26.95..8..2.3..9..5.1.3..',
+  'euler 02':       '2...8.3...6..7..84.3.5..2.9...1.54.8.........4.27.6...3.1..7.4.72..4..6...4.1...3',
+  'golden nugget':  '.......39.....1..5..3.5.8....8.9...6.7...2..1..4.......9.8..5..2....6..4..7.....',
+  'easter monster': '1.......2.9.4...5...6...7...5.9.3.......7.......85..4.7.....6...3...9.8...2.....1',
+  'inkala 2012':    '8..........36......7..9.2...5...7.......457.....1...3...1....68..85...1..9....4..',
+  'ai escargot':    '1....7.9..3..2...8..96..5....53..9...1..8...26....4...3......1..4......7..7...3..'
+};
+
+const parse = line => Array.from({length:9}, (_, r) =>
+  Array.from({length:9}, (_, c) => +line[r*9+c] || 0)
+);
+
+const RUNS = 3;
+
+function time(fn) {
+  let out = fn(), ms = Infinity;   /* warm-up, not timed */
+  for (let i = 0; i < RUNS; i++) {
+    const t = process.hrtime.bigint();
+    out = fn();
+    ms = Math.min(ms, Number(process.hrtime.bigint() - t) / 1e6);
+  }
+  return { ms, out };
+}
+
+function uniqueSweep(core, board) {
+  const b = board.map(r => [...r]);
+  let unique = 0;
+  for (let r = 0; r < 9; r++)
+    for (let c = 0; c < 9; c++) {
+      if (!b[r][c]) continue;
+      const saved = b[r][c];
+      b[r][c] = 0;
+      if (core.countSolutions(b, 2) === 1) unique++;
+      b[r][c] = saved;
+    }
+  return unique;
+}
+
+function candSweep(core, board) {
+  let n = 0;
+  for (let k = 0; k < 200; k++)
+    for (let r = 0; r < 9; r++)
+      for (let c = 0; c < 9; c++)
+        if (!board[r][c]) n += core.candidates(board, r, c).size;
+  return n;
+}
+
+const pad = (s, n) => String(s).padStart(n);
+const row = (...cols) => console.log(cols[0].padEnd(16) + cols.slice(1).map(c => pad(c, 11)).join(''));
+
+row('puzzle', 'task', 'legacy ms', 'bitmask ms', 'speed-up');
+const totals = { legacy: 0, bitmask: 0 };
+
+for (const [name, line] of Object.entries(PUZZLES)) {
+  const board = parse(line);
+  for (const [task, fn] of [['solve', (c, b) => c.countSolutions(b, 2)],
+                            ['unique', uniqueSweep],
+                            ['cands', candSweep]]) {
+    const a = time(() => fn(legacy, board));
+    const b = time(() => fn(Engine, board));
+    if (a.out !== b.out) throw new Error(`${name}/${task}: cores disagree (${a.out} vs ${b.out})`);
+    totals.legacy += a.ms; totals.bitmask += b.ms;
+    row(name, task, a.ms.toFixed(1), b.ms.toFixed(1), (a.ms / b.ms).toFixed(1) + '×');
+  }
+}
+
+row('TOTAL', '', totals.legacy.toFixed(1), totals.bitmask.toFixed(1),
+    (totals.legacy / totals.bitmask).toFixed(1) + '×');
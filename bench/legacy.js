@@ -0,0 +1,66 @@
+/*
+  ═══════════════════════════════════════════════════
+  BENCH/LEGACY.JS — Pre-bitmask Engine Core (reference)
+  ═══════════════════════════════════════════════════
+  The scan-every-unit solver Engine shipped with before
+  the bitmask rewrite, kept verbatim so bench.js can
+  compare the two on the same puzzles. Not loaded by
+  the app.
+
+  EXPORTS (CommonJS)
+    countSolutions(board, max) → number
+    candidates(board, r, c)    → Set<number>
+  ═══════════════════════════════════════════════════
+*/
+const boxOrigin = x => 3 * ((x / 3) | 0);
+
+function isValid(board, r, c, n) {
+  for (let i = 0; i < 9; i++) {
+    if (board[r][i] === n || board[i][c] === n) return false;
+  }
+  const br = boxOrigin(r), bc = boxOrigin(c);
+  for (let dr = 0; dr < 3; dr++)
+    for (let dc = 0; dc < 3; dc++)
+      if (board[br + dr][bc + dc] === n) return false;
+  return true;
+}
+
+function findEmpty(board) {
+  for (let r = 0; r < 9; r++)
+    for (let c = 0; c < 9; c++)
+      if (!board[r][c]) return [r, c];
+  return null;
+}
+
+function countSolutions(board, max = 2) {
+  let count = 0;
+  const copy = board.map(r => [...r]);
+  function solve() {
+    if (count >= max) return;
+    const empty = findEmpty(copy);
+    if (!empty) { count++; return; }
+    const [r, c] = empty;
+    for (let n = 1; n <= 9; n++) {
+      if (isValid(copy, r, c, n)) {
+        copy[r][c] = n;
+        solve();
+        copy[r][c] = 0;
+      }
+    }
+  }
+  solve();
+  return count;
+}
+
+function candidates(board, r, c) {
+  if (board[r][c]) return new Set();
+  const s = new Set([1,2,3,4,5,6,7,8,9]);
+  for (let i = 0; i < 9; i++) { s.delete(board[r][i]); s.delete(board[i][c]); }
+  const br = boxOrigin(r), bc = boxOrigin(c);
+  for (let dr = 0; dr < 3; dr++)
+    for (let dc = 0; dc < 3; dc++)
+      s.delete(board[br+dr][bc+dc]);
+  return s;
+}
+
+module.exports = { countSolutions, candidates };
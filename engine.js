@@ -4,139 +4,785 @@
   ═══════════════════════════════════════════════════
   Pure logic. Zero DOM. Zero side-effects.
 
+  SOLVER CORE
+    Each unit keeps a bitmask of the digits it already
+    holds, so a cell's candidates are one OR + NOT. The
+    search always branches on the most-constrained empty
+    cell. bench/bench.js compares it against the old
+    scanning core (bench/legacy.js).
+
+  BOARD SIZES
+    4×4 and 6×6 (2×3 boxes) for young players, 9×9, and
+    16×16 with hex digits 0-F. Size is part of the layout,
+    so nothing below assumes 9; each size has its own
+    generator tuning.
+
+  LAYOUTS (VARIANTS)
+    Which cells must not repeat a digit is data, not code.
+    A layout lists its units — rows, columns, boxes or
+    jigsaw regions, and the two diagonals of X-Sudoku —
+    plus Killer cages, whose digits must add up to a sum.
+    Solver, candidates, conflicts and Hints all read the
+    active layout; generate() sets its own while carving.
+
+  DEPENDS ON: hints.js at call time — generate() grades
+  each candidate puzzle with Hints.grade(), and analyze()
+  reports the same grade.
+
   PUBLIC API
-    Engine.generate(difficulty)      → { puzzle, solution }
-    Engine.generateAsync(diff, cb)   → calls cb({ puzzle, solution })
+    Engine.generate(difficulty, opts?)
+                                     → { puzzle, solution, rating, hardest,
+                                         symmetry, layout, seed }, or null
+                                       when every attempt failed
+                                       opts = { seed?, symmetry?, size?,
+                                                variant?, onProgress? }
+    Engine.generateAsync(diff, cb, opts?)
+                                     → job { cancel() }; calls cb(result),
+                                       result as for generate(), from
+                                       worker.js, or on the main thread
+                                       when workers are unavailable
+    Engine.tier(difficulty, size?)   → { removals, min, max, attempts }
+    Engine.tierFor(rating)           → easiest difficulty whose band fits
+    Engine.symmetries()              → ['rotational','mirror','diagonal','none']
+    Engine.symmetryOf(puzzle)        → symmetry the givens follow
+    Engine.sizes()                   → [4, 6, 9, 16]
+    Engine.variants(size?)           → ['classic','x','jigsaw','killer'] on 9×9
+    Engine.setLayout(spec)           → activate { size?, variant, regions?, cages? }
+    Engine.layout()                  → active layout (units, cages, peers…)
+    Engine.spec()                    → its serializable spec, for setLayout()
+    Engine.unitsOf(r, c)             → units containing (r,c)
+    Engine.peers(r, c)               → [[r,c], ...] cells that see (r,c)
+    Engine.cageOf(r, c)              → { cells, sum } | null
     Engine.candidates(board, r, c)   → Set<number>
+    Engine.countSolutions(board, max)→ number of solutions, capped at max
+    Engine.solve(board)              → solved grid | null
+    Engine.analyze(board, opts?)     → { valid, duplicates, givens, solutions,
+                                         unique, minimal, redundant, solved,
+                                         techniques, hardest, rating }
+                                       opts = { max = 2, minimal = true }
     Engine.conflicts(board, r, c, v) → [[r,c], ...]
-    Engine.boxOrigin(x)              → top-left index of 3×3 box
+    Engine.glyph(v)                  → digit as shown ('A' = 11 on 16×16)
+    Engine.digitFrom(ch)             → digit typed as ch, or 0
+    Engine.boxOrigin(x, span=3)      → top-left index of the box
   ═══════════════════════════════════════════════════
 */
 const Engine = (function () {
 
   /* ── Shared: top-left row/col of the box containing index x ── */
-  const boxOrigin = x => 3 * ((x / 3) | 0);
+  const boxOrigin = (x, span = 3) => span * ((x / span) | 0);
+
+  /* ── Seeded PRNG ───────────────────────────────
+     mulberry32 over a 32-bit seed. String seeds (e.g.
+     "daily-2026-10-19") are hashed with FNV-1a first.
+     Same seed + same difficulty → same grid, on every
+     device running the same engine.
+  ─────────────────────────────────────────────────── */
+  function hashSeed(seed) {
+    if (typeof seed === 'number') return seed >>> 0;
+    let h = 0x811c9dc5;
+    for (const ch of String(seed)) h = Math.imul(h ^ ch.charCodeAt(0), 0x01000193);
+    return h >>> 0;
+  }
+
+  function mulberry32(a) {
+    return function () {
+      a = (a + 0x6D2B79F5) | 0;
+      let t = Math.imul(a ^ (a >>> 15), 1 | a);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /* Source of randomness for the generation in progress */
+  let random = Math.random;
 
   /* ── Fisher-Yates shuffle (returns new array) ── */
   function shuffle(a) {
     const b = [...a];
     for (let i = b.length - 1; i > 0; i--) {
-      const j = (Math.random() * (i + 1)) | 0;
+      const j = (random() * (i + 1)) | 0;
       [b[i], b[j]] = [b[j], b[i]];
     }
     return b;
   }
 
-  /* ── Can digit n go at (r,c)? Checks row, col, box ── */
-  function isValid(board, r, c, n) {
-    for (let i = 0; i < 9; i++) {
-      if (board[r][i] === n || board[i][c] === n) return false;
+  /* ── Bitmask tables ────────────────────────────
+     Digit n is bit (n-1); a unit's mask holds the digits
+     already used in it. VBIT[0] is 0 so empty cells add
+     nothing when OR-ed into a mask. Sized for 16 digits,
+     the largest board.
+  ─────────────────────────────────────────────────── */
+  const VBIT = Array.from({length:17}, (_, n) => n && 1 << (n - 1));
+  const POP  = new Uint8Array(1 << 16);
+  for (let m = 1; m < POP.length; m++) POP[m] = POP[m >> 1] + (m & 1);
+  const digitOf = bit => 32 - Math.clz32(bit);
+
+  /* Digits in a mask, ascending — cached per mask */
+  const DIGITS = [];
+  function digitsOf(mask) {
+    if (DIGITS[mask]) return DIGITS[mask];
+    const out = [];
+    for (let m = mask; m; m &= m - 1) out.push(digitOf(m & -m));
+    return (DIGITS[mask] = out);
+  }
+
+  /* ── Board sizes ───────────────────────────────
+     An n×n grid split into boxH×boxW boxes, each with its
+     own generator tuning: `removals` per difficulty is
+     the clue count taken out before grading starts, and
+     16×16 grids are slow enough to carve that fewer
+     attempts are made. Killer and Jigsaw stay 9×9 — cage
+     sums and region maps are tuned for nine digits.
+  ─────────────────────────────────────────────────── */
+  const SIZES = {
+    4:  { boxH:2, boxW:2, attempts:20, variants:['classic','x'],
+          removals:{ beginner:4,   easy:6,   medium:8,   hard:9,   expert:10 } },
+    6:  { boxH:2, boxW:3, attempts:20, variants:['classic','x'],
+          removals:{ beginner:12,  easy:16,  medium:19,  hard:21,  expert:22 } },
+    9:  { boxH:3, boxW:3, attempts:20, variants:['classic','x','jigsaw','killer'],
+          removals:{ beginner:30,  easy:38,  medium:46,  hard:52,  expert:56 } },
+    16: { boxH:4, boxW:4, attempts:3,  variants:['classic','x'],
+          removals:{ beginner:100, easy:120, medium:135, hard:145, expert:150 } }
+  };
+
+  /* Index tables for one size — built once, shared by its layouts */
+  const GEOMETRY = {};
+
+  function geometry(size) {
+    if (GEOMETRY[size]) return GEOMETRY[size];
+    const { boxH, boxW } = SIZES[size], cells = size * size;
+    const ROW = new Uint8Array(cells), COL = new Uint8Array(cells), BOX = new Uint8Array(cells);
+    for (let i = 0; i < cells; i++) {
+      ROW[i] = (i / size) | 0;
+      COL[i] = i % size;
+      BOX[i] = ((ROW[i] / boxH) | 0) * (size / boxW) + ((COL[i] / boxW) | 0);
     }
-    const br = boxOrigin(r), bc = boxOrigin(c);
-    for (let dr = 0; dr < 3; dr++)
-      for (let dc = 0; dc < 3; dc++)
-        if (board[br + dr][bc + dc] === n) return false;
-    return true;
+    const CELLS = Array.from({length:cells}, (_, i) => i);
+    /* Orthogonal neighbours — for growing regions and cages */
+    const NEIGHBOURS = CELLS.map(i => [
+      i >= size ? i - size : -1, i < cells - size ? i + size : -1,
+      COL[i] ? i - 1 : -1, COL[i] < size - 1 ? i + 1 : -1
+    ].filter(j => j >= 0));
+    return (GEOMETRY[size] = { size, boxH, boxW, cells, all: (1 << size) - 1, ROW, COL, BOX, CELLS, NEIGHBOURS });
+  }
+
+  /* ── Digit glyphs ──────────────────────────────
+     1-9 on small boards; hex 0-F on 16×16, where digit
+     value 1 is shown as "0" and 16 as "F".
+  ─────────────────────────────────────────────────── */
+  const HEX = '0123456789ABCDEF';
+
+  const glyphFor  = (v, size) => !v ? '' : size > 9 ? HEX[v - 1] : String(v);
+  const valueFor  = (ch, size) => {
+    const v = size > 9 ? HEX.indexOf(String(ch).toUpperCase()) + 1 : +ch;
+    return v >= 1 && v <= size ? v : 0;
+  };
+
+  /* ── Killer cage sums ──────────────────────────
+     combo(avail, k, sum) is the mask of digits that occur
+     in some set of k distinct digits from `avail` adding
+     up to `sum`. Memoized: a cage's options depend on
+     nothing else.
+  ─────────────────────────────────────────────────── */
+  const SUM = new Uint8Array(1 << 10);
+  for (let m = 1; m < SUM.length; m++) SUM[m] = SUM[m & (m - 1)] + digitOf(m & -m);
+  const COMBO = new Int16Array(512 * 10 * 46).fill(-1);
+
+  function combo(avail, k, sum) {
+    if (sum < 0 || sum > 45) return 0;
+    const key = (avail * 10 + k) * 46 + sum;
+    if (COMBO[key] >= 0) return COMBO[key];
+    let out = 0;
+    for (let s = avail; s; s = (s - 1) & avail)
+      if (POP[s] === k && SUM[s] === sum) out |= s;
+    return (COMBO[key] = out);
+  }
+
+  /* ── Layouts ───────────────────────────────────
+     A layout is a geometry (size, boxH, boxW, cells and
+     the ROW/COL/BOX/… tables) plus:
+     units     — [{ type, idx, name, label, cells, ids }]
+                 type is row | col | box | diag; jigsaw
+                 regions are boxes named "Region"
+     regions   — region index of each cell (boxes unless jigsaw)
+     cages     — [{ cells, sum, ids }], Killer only
+     cellUnits — per cell, indices into units
+     cageOf    — per cell, index into cages or -1
+     peers     — per cell, ids of every other cell that
+                 shares a unit or cage with it
+     A spec missing its regions or cages, or asking for a
+     variant its size does not offer, falls back to classic
+     rather than building half a variant.
+  ─────────────────────────────────────────────────── */
+  function makeLayout({ size = 9, variant = 'classic', regions, cages } = {}) {
+    if (!SIZES[size]) size = 9;
+    const geo = geometry(size), { ROW, COL, BOX, CELLS, cells } = geo;
+    if (!SIZES[size].variants.includes(variant) ||
+        (variant === 'jigsaw' && !(regions && regions.length === cells)) ||
+        (variant === 'killer' && !(cages && cages.length))) variant = 'classic';
+    const jigsaw = variant === 'jigsaw';
+    regions = jigsaw ? [...regions] : Array.from(BOX);
+
+    const units = [];
+    const add = (type, idx, name, label, ids) =>
+      units.push({ type, idx, name, label, ids, cells: ids.map(i => [ROW[i], COL[i]]) });
+    for (let k = 0; k < size; k++) add('row', k, 'Row', `row ${k+1}`, CELLS.filter(i => ROW[i] === k));
+    for (let k = 0; k < size; k++) add('col', k, 'Col', `col ${k+1}`, CELLS.filter(i => COL[i] === k));
+    for (let k = 0; k < size; k++)
+      add('box', k, jigsaw ? 'Region' : 'Box', `${jigsaw ? 'region' : 'box'} ${k+1}`,
+          CELLS.filter(i => regions[i] === k));
+    if (variant === 'x') {
+      add('diag', 0, 'Diagonal', 'the ↘ diagonal', CELLS.filter(i => ROW[i] === COL[i]));
+      add('diag', 1, 'Diagonal', 'the ↙ diagonal', CELLS.filter(i => ROW[i] + COL[i] === size - 1));
+    }
+
+    cages = variant === 'killer'
+      ? cages.map(({cells, sum}) => ({ cells: cells.map(([r, c]) => [r, c]), sum, ids: cells.map(([r, c]) => r*size+c) }))
+      : [];
+    const cageOf = new Int8Array(cells).fill(-1);
+    cages.forEach((cage, k) => { for (const i of cage.ids) cageOf[i] = k; });
+
+    const cellUnits = CELLS.map(() => []);
+    units.forEach((u, k) => { for (const i of u.ids) cellUnits[i].push(k); });
+    const peers = CELLS.map(i => {
+      const seen = new Set();
+      for (const k of cellUnits[i]) for (const j of units[k].ids) seen.add(j);
+      if (cageOf[i] >= 0) for (const j of cages[cageOf[i]].ids) seen.add(j);
+      seen.delete(i);
+      return [...seen];
+    });
+    return { ...geo, variant, regions, units, cages, cellUnits, cageOf, peers };
   }
 
-  /* ── First empty cell or null ── */
-  function findEmpty(board) {
-    for (let r = 0; r < 9; r++)
-      for (let c = 0; c < 9; c++)
-        if (!board[r][c]) return [r, c];
-    return null;
-  }
-
-  /* ── Recursive backtracking — fills board in place ── */
-  function fillBoard(board) {
-    const empty = findEmpty(board);
-    if (!empty) return true;
-    const [r, c] = empty;
-    for (const n of shuffle([1,2,3,4,5,6,7,8,9])) {
-      if (isValid(board, r, c, n)) {
-        board[r][c] = n;
-        if (fillBoard(board)) return true;
-        board[r][c] = 0;
+  /* The layout every solver call below works against */
+  let layout = makeLayout();
+
+  const sizes     = () => Object.keys(SIZES).map(Number);
+  const variants  = (size = layout.size) => [...(SIZES[size] || SIZES[9]).variants];
+  const setLayout = spec => (layout = spec && spec.units ? spec : makeLayout(spec));
+  const unitsOf   = (r, c) => layout.cellUnits[r*layout.size+c].map(k => layout.units[k]);
+  const peers     = (r, c) => layout.peers[r*layout.size+c].map(j => [layout.ROW[j], layout.COL[j]]);
+  const cageOf    = (r, c) => layout.cages[layout.cageOf[r*layout.size+c]] || null;
+  const glyph     = v  => glyphFor(v, layout.size);
+  const digitFrom = ch => valueFor(ch, layout.size);
+  const blank     = size => Array.from({length:size}, () => Array(size).fill(0));
+
+  /* Serializable part of a layout — crosses the worker
+     boundary and is all setLayout() needs to rebuild it */
+  const specOf = ({size, variant, regions, cages}) =>
+    ({ size, variant, regions: [...regions], cages: cages.map(({cells, sum}) => ({ cells, sum })) });
+
+  /* ── Mask of digits still legal at (r,c) ── */
+  function candidateMask(board, r, c) {
+    if (board[r][c]) return 0;
+    const { ROW, COL, size } = layout, i = r*size+c;
+    let used = 0;
+    for (const j of layout.peers[i]) used |= VBIT[board[ROW[j]][COL[j]]];
+    let mask = layout.all & ~used;
+    const k = layout.cageOf[i];
+    if (k >= 0) {
+      const cage = layout.cages[k];
+      let inCage = 0, sum = 0, left = 0;
+      for (const j of cage.ids) {
+        const v = board[ROW[j]][COL[j]];
+        if (v) { inCage |= VBIT[v]; sum += v; } else left++;
       }
+      mask &= combo(layout.all & ~inCage, left, cage.sum - sum);
     }
-    return false;
+    return mask;
+  }
+
+  /* ── Flatten board into unit masks ─────────────
+     Returns null when two givens already clash, so a
+     broken grid counts as having no solutions.
+  ─────────────────────────────────────────────────── */
+  function prepare(board) {
+    const { units, cages, cellUnits, cageOf, ROW, COL, cells } = layout;
+    const grid = new Uint8Array(cells), used = new Uint16Array(units.length);
+    const cageUsed = new Uint16Array(cages.length), cageSum = new Uint8Array(cages.length);
+    const cageLeft = Uint8Array.from(cages, cage => cage.ids.length);
+    const empty = [];
+    for (let i = 0; i < cells; i++) {
+      const v = board[ROW[i]][COL[i]];
+      if (!v) { empty.push(i); continue; }
+      const bit = VBIT[v];
+      for (const k of cellUnits[i]) {
+        if (used[k] & bit) return null;
+        used[k] |= bit;
+      }
+      const k = cageOf[i];
+      if (k >= 0) {
+        if (cageUsed[k] & bit) return null;
+        cageUsed[k] |= bit; cageSum[k] += v; cageLeft[k]--;
+      }
+      grid[i] = v;
+    }
+    if (cages.some((cage, k) => !cageLeft[k] && cageSum[k] !== cage.sum)) return null;
+    return { grid, used, cageUsed, cageSum, cageLeft, empty, aborted: false };
+  }
+
+  /* ── Depth-first search, most-constrained cell first ──
+     Counts solutions up to `max`. When it stops on the
+     max-th solution, `grid` is left holding that solution.
+     `randomize` tries each cell's digits in shuffled order
+     (used to fill fresh boards). After `budget` nodes the
+     search gives up and sets state.aborted — some jigsaw
+     region maps have no solution at all, and a random
+     16×16 fill can wander into a dead end.
+  ─────────────────────────────────────────────────── */
+  function search(state, max, randomize, budget = Infinity) {
+    const { grid, used, cageUsed, cageSum, cageLeft, empty } = state;
+    const { cages, cellUnits, cageOf, all, size } = layout;
+    let count = 0, nodes = 0;
+
+    function maskAt(i) {
+      let u = 0;
+      for (const k of cellUnits[i]) u |= used[k];
+      let m = all & ~u;
+      const k = cageOf[i];
+      if (k >= 0 && m) m &= combo(all & ~cageUsed[k], cageLeft[k], cages[k].sum - cageSum[k]);
+      return m;
+    }
+
+    function dfs(depth) {
+      if (depth === empty.length) return ++count >= max;
+      if (++nodes > budget) return (state.aborted = true);
+
+      /* Pick the empty cell with the fewest candidates */
+      let pick = depth, mask = 0, fewest = size + 1;
+      for (let k = depth; k < empty.length; k++) {
+        const m = maskAt(empty[k]);
+        if (POP[m] < fewest) {
+          fewest = POP[m]; mask = m; pick = k;
+          if (fewest <= 1) break;
+        }
+      }
+      if (!fewest) return false;
+      [empty[depth], empty[pick]] = [empty[pick], empty[depth]];
+
+      const i = empty[depth], units = cellUnits[i], cage = cageOf[i];
+      let bits = [];
+      for (let m = mask; m; m &= m - 1) bits.push(m & -m);
+      if (randomize) bits = shuffle(bits);
+
+      for (const bit of bits) {
+        const v = digitOf(bit);
+        grid[i] = v;
+        for (const k of units) used[k] |= bit;
+        if (cage >= 0) { cageUsed[cage] |= bit; cageSum[cage] += v; cageLeft[cage]--; }
+        if (dfs(depth + 1)) return true;
+        for (const k of units) used[k] ^= bit;
+        if (cage >= 0) { cageUsed[cage] ^= bit; cageSum[cage] -= v; cageLeft[cage]++; }
+      }
+      grid[i] = 0;
+      return false;
+    }
+
+    dfs(0);
+    return count;
+  }
+
+  /* ── Random complete grid — fills board in place ── */
+  function fillBoard(board, budget) {
+    const state = prepare(board);
+    if (!state || !search(state, 1, true, budget) || state.aborted) return false;
+    const { ROW, COL, cells } = layout;
+    for (let i = 0; i < cells; i++) board[ROW[i]][COL[i]] = state.grid[i];
+    return true;
   }
 
   /* ── Count solutions up to max (default 2) ── */
   function countSolutions(board, max = 2) {
-    let count = 0;
-    const copy = board.map(r => [...r]);
-    function solve() {
-      if (count >= max) return;
-      const empty = findEmpty(copy);
-      if (!empty) { count++; return; }
-      const [r, c] = empty;
-      for (let n = 1; n <= 9; n++) {
-        if (isValid(copy, r, c, n)) {
-          copy[r][c] = n;
-          solve();
-          copy[r][c] = 0;
+    const state = prepare(board);
+    return state ? search(state, max, false) : 0;
+  }
+
+  /* ── First solution found, or null ── */
+  function solve(board) {
+    const state = prepare(board);
+    if (!state || !search(state, 1, false)) return null;
+    const n = layout.size;
+    return Array.from({length:n}, (_, r) => Array.from(state.grid.subarray(r*n, r*n+n)));
+  }
+
+  /* ── Puzzle diagnostics ────────────────────────
+     Everything worth knowing about a grid, for the active
+     layout, without reading any answer:
+       valid       — right shape, digits in range, no two
+                     givens clashing (duplicates lists them)
+       solutions   — count, capped at opts.max (default 2)
+       minimal     — unique and every given is needed;
+                     redundant lists the givens that are not
+                     (null / [] unless the puzzle is unique)
+       techniques  — Hints.grade() steps in solving order;
+                     ends in 'Advanced Technique' when the
+                     logical solver gets stuck; uniqueness
+                     techniques only count once unique
+       hardest, rating, solved — from the same grade
+     Checking minimality costs one uniqueness test per
+     given, so leave it to opts.minimal = false when only
+     the count matters.
+  ─────────────────────────────────────────────────── */
+  function analyze(board, { max = 2, minimal: checkMinimal = true } = {}) {
+    const n = layout.size;
+    const shaped = board.length === n && board.every(row => row.length === n &&
+      row.every(v => Number.isInteger(v) && v >= 0 && v <= n));
+    const givens = shaped ? board.flat().filter(Boolean).length : 0;
+    const duplicates = [];
+    if (shaped)
+      for (let r = 0; r < n; r++)
+        for (let c = 0; c < n; c++)
+          if (board[r][c] && conflicts(board, r, c, board[r][c]).length) duplicates.push([r, c]);
+    const valid = shaped && !duplicates.length;
+    const out = { valid, duplicates, givens, solutions: 0, unique: false, minimal: null, redundant: [],
+                  solved: false, techniques: [], hardest: null, rating: 0 };
+    if (!valid) return out;
+
+    out.solutions = countSolutions(board, max);
+    out.unique    = out.solutions === 1;
+    if (out.unique && checkMinimal) {
+      const b = board.map(row => [...row]);
+      for (let r = 0; r < n; r++)
+        for (let c = 0; c < n; c++) {
+          if (!b[r][c]) continue;
+          const v = b[r][c];
+          b[r][c] = 0;
+          if (countSolutions(b, 2) === 1) out.redundant.push([r, c]);
+          b[r][c] = v;
         }
+      out.minimal = !out.redundant.length;
+    }
+    const { solved, techniques, hardest, rating } = Hints.grade(board, { unique: out.unique });
+    return Object.assign(out, { solved, techniques, hardest, rating });
+  }
+
+  /* ── Jigsaw regions ────────────────────────────
+     Start from the boxes and trade cells between
+     neighbouring regions, one for one, so every region
+     keeps its size. A trade that splits a region in two
+     is undone. Regions are then numbered in reading
+     order of their first cell.
+  ─────────────────────────────────────────────────── */
+  const JIGSAW_TRADES = 60;
+  const FILL_BUDGET   = 20000;   /* nodes before a fill is abandoned */
+
+  function connected(regions, k) {
+    const { CELLS, NEIGHBOURS } = layout;
+    const cells = CELLS.filter(i => regions[i] === k);
+    const seen = new Set([cells[0]]), stack = [cells[0]];
+    while (stack.length)
+      for (const j of NEIGHBOURS[stack.pop()])
+        if (regions[j] === k && !seen.has(j)) { seen.add(j); stack.push(j); }
+    return seen.size === cells.length;
+  }
+
+  function jigsawRegions() {
+    const { BOX, CELLS, NEIGHBOURS, cells } = layout;
+    const regions = Array.from(BOX);
+    for (let trades = 0, tries = 0; trades < JIGSAW_TRADES && tries < 5000; tries++) {
+      const a = (random() * cells) | 0, A = regions[a];
+      const n = NEIGHBOURS[a][(random() * NEIGHBOURS[a].length) | 0], B = regions[n];
+      if (A === B) continue;
+      const pool = CELLS.filter(i => regions[i] === B && NEIGHBOURS[i].some(j => j !== a && regions[j] === A));
+      if (!pool.length) continue;
+      const b = pool[(random() * pool.length) | 0];
+      regions[a] = B; regions[b] = A;
+      if (connected(regions, A) && connected(regions, B)) trades++;
+      else { regions[a] = A; regions[b] = B; }
+    }
+    const order = [];
+    for (const k of regions) if (!order.includes(k)) order.push(k);
+    return regions.map(k => order.indexOf(k));
+  }
+
+  /* ── Killer cages ──────────────────────────────
+     Grow connected cages of 2–4 cells over a solved grid,
+     never repeating a digit inside one; each sum is read
+     off the solution. A cell left on its own joins a
+     neighbouring cage when that keeps the cage legal.
+  ─────────────────────────────────────────────────── */
+  function killerCages(solution) {
+    const { ROW, COL, CELLS, NEIGHBOURS, cells } = layout;
+    const val = i => solution[ROW[i]][COL[i]];
+    const owner = new Int8Array(cells).fill(-1), cages = [];
+    for (const start of shuffle(CELLS)) {
+      if (owner[start] >= 0) continue;
+      const cage = [start], size = 2 + ((random() * 3) | 0);
+      let mask = VBIT[val(start)];
+      owner[start] = cages.length;
+      while (cage.length < size) {
+        const next = shuffle(cage.flatMap(i => NEIGHBOURS[i]))
+          .find(j => owner[j] < 0 && !(mask & VBIT[val(j)]));
+        if (next === undefined) break;
+        cage.push(next); owner[next] = cages.length; mask |= VBIT[val(next)];
       }
+      cages.push(cage);
     }
-    solve();
-    return count;
+    cages.forEach((cage, k) => {
+      if (cage.length !== 1) return;
+      const i = cage[0];
+      const into = NEIGHBOURS[i].map(j => owner[j]).find(o =>
+        o !== k && cages[o].length > 1 && cages[o].length < 5 && !cages[o].some(j => val(j) === val(i)));
+      if (into === undefined) return;
+      cages[into].push(i); owner[i] = into; cages[k] = [];
+    });
+    return cages.filter(cage => cage.length).map(ids => ({
+      cells: ids.sort((a, b) => a - b).map(i => [ROW[i], COL[i]]),
+      sum: ids.reduce((s, i) => s + val(i), 0)
+    }));
+  }
+
+  /* Activate the layout for one attempt and fill a grid
+     that satisfies it. Killer cages are drawn over the
+     finished grid, so they always have a solution. */
+  function fillFor(size, variant, board) {
+    const plain = variant === 'x' ? 'x' : 'classic';
+    for (let tries = 0; tries < 20; tries++) {
+      layout = makeLayout({ size, variant: plain });
+      if (variant === 'jigsaw') layout = makeLayout({ size, variant, regions: jigsawRegions() });
+      if (!fillBoard(board, FILL_BUDGET)) continue;
+      if (variant === 'killer') layout = makeLayout({ size, variant, cages: killerCages(board) });
+      return true;
+    }
+    return false;
+  }
+
+  /* ── Difficulty tiers ──────────────────────────
+     A puzzle belongs to a tier when the rating of the
+     hardest technique it needs (Hints.grade) falls in
+     (min, max]. How many clues come out before grading
+     starts depends on the board size (SIZES).
+     Medium stops at intersections, hard at quads (fish,
+     wings and coloring included); chains are expert
+     only. Expert is anything past hard, and removals
+     push it further.
+  ─────────────────────────────────────────────────── */
+  const TIERS = {
+    beginner: { min:0,   max:1.2 },
+    easy:     { min:1.2, max:1.5 },
+    medium:   { min:1.5, max:2.8 },
+    hard:     { min:2.8, max:5.4 },
+    expert:   { min:5.4, max:Infinity }
+  };
+
+  function tier(difficulty, size = layout.size) {
+    const d = TIERS[difficulty] ? difficulty : 'easy';
+    const s = SIZES[size] || SIZES[9];
+    return { ...TIERS[d], removals: s.removals[d], attempts: s.attempts };
   }
 
-  /* ── Removal counts per difficulty ── */
-  const REMOVALS = { beginner:30, easy:38, medium:46, hard:52, expert:56 };
+  /* ── Easiest tier whose band holds a rating ── */
+  const tierFor = rating =>
+    Object.keys(TIERS).find(d => rating > TIERS[d].min && rating <= TIERS[d].max) || 'expert';
+
+  /* ── Clue symmetries ───────────────────────────
+     Each maps a cell of an n×n grid to the cells that
+     must share its given/blank state. Clues are removed
+     one whole orbit at a time, so the layout stays
+     symmetric.
+  ─────────────────────────────────────────────────── */
+  const SYMMETRIES = {
+    rotational: (r, c, n) => [[r, c], [n-1-r, n-1-c]],
+    mirror:     (r, c, n) => [[r, c], [r, n-1-c]],
+    diagonal:   (r, c)    => [[r, c], [c, r]],
+    none:       (r, c)    => [[r, c]]
+  };
 
-  /* ── Generate a puzzle with a unique solution ── */
-  function generate(difficulty) {
-    const board = Array.from({length:9}, () => Array(9).fill(0));
-    fillBoard(board);
+  const symmetries = () => Object.keys(SYMMETRIES);
+
+  /* Partition the n×n cells into orbits of a symmetry */
+  function orbits(symmetry, n) {
+    const map = SYMMETRIES[symmetry] || SYMMETRIES.none;
+    const seen = new Set(), out = [];
+    for (let i = 0; i < n*n; i++) {
+      if (seen.has(i)) continue;
+      const group = [];
+      for (const [r, c] of map((i/n)|0, i%n, n)) {
+        if (seen.has(r*n+c)) continue;
+        seen.add(r*n+c);
+        group.push([r, c]);
+      }
+      out.push(group);
+    }
+    return out;
+  }
+
+  /* ── Which symmetry a puzzle's givens follow ── */
+  function symmetryOf(puzzle) {
+    return Object.keys(SYMMETRIES).find(name =>
+      orbits(name, puzzle.length).every(group =>
+        group.every(([r, c]) => !puzzle[r][c] === !puzzle[group[0][0]][group[0][1]]))
+    );
+  }
+
+  /* ── One attempt: fill, then remove clues ──────
+     Removes until `removals` is reached, then keeps
+     removing while the grade is still below the tier.
+     Removals that break uniqueness or push the grade
+     past the tier are undone. Returns the last
+     accepted grade, or null when nothing fits.
+  ─────────────────────────────────────────────────── */
+  function carve(t, report, symmetry, size, variant) {
+    const board = blank(size);
+    if (!fillFor(size, variant, board)) return null;
     const solution = board.map(r => [...r]);
     const puzzle   = board.map(r => [...r]);
-    const target   = REMOVALS[difficulty] || REMOVALS.easy;
-    let removed    = 0;
+    const restore  = group => { for (const [r, c] of group) puzzle[r][c] = solution[r][c]; };
+    let removed = 0, grade = null;
+
+    for (const group of shuffle(orbits(symmetry, size))) {
+      if (grade && grade.rating > t.min) break;
+      for (const [r, c] of group) puzzle[r][c] = 0;
+      /* Past `removals` every grid is graded; grading first skips
+         the solution count for grids that overshoot the tier.
+         Uniqueness techniques are fair: a grid with a second
+         solution fails the count and is put back anyway. */
+      const g = removed + group.length >= t.removals ? Hints.grade(puzzle, { unique: true }) : null;
+      if ((g && g.rating > t.max) || countSolutions(puzzle) !== 1) { restore(group); continue; }
+      removed += group.length;
+      report(removed);
+      if (g) grade = g;
+    }
+    /* Symmetry ran out of orbits before `removals` was reached,
+       or every graded removal overshot — grade what is left
+       rather than throw the grid away; generateWith() prefers
+       grids that stay inside the tier */
+    if (!grade && removed) grade = Hints.grade(puzzle, { unique: true });
+    return grade && { puzzle, solution, rating: grade.rating, hardest: grade.hardest,
+                      symmetry, layout: specOf(layout) };
+  }
+
+  /* ── Generate a graded puzzle with a unique solution ──
+     Tries up to the size's `attempts` grids. If none lands
+     in the tier, returns the hardest one that did not
+     overshoot, or failing that the least overshot, or
+     null if every grid failed to fill or carve.
+     opts.seed makes the result reproducible; without it
+     Math.random is used. opts.symmetry is a key of
+     SYMMETRIES (default 'none'); opts.size a key of SIZES
+     (default 9); opts.variant one the size offers (default
+     'classic'). opts.onProgress({ attempt, attempts,
+     removed, target }) fires after every accepted removal.
+     The active layout is left as it was; pass
+     result.layout to setLayout() to play the puzzle.
+  ─────────────────────────────────────────────────── */
+  function generate(difficulty, { seed, symmetry = 'none', size = 9, variant = 'classic', onProgress } = {}) {
+    if (!SIZES[size]) size = 9;
+    if (!SYMMETRIES[symmetry]) symmetry = 'none';
+    if (!SIZES[size].variants.includes(variant)) variant = 'classic';
+    const t = tier(difficulty, size), prev = layout;
+    random = seed == null ? Math.random : mulberry32(hashSeed(seed));
+    try {
+      const res = generateWith(t, symmetry, size, variant, onProgress);
+      if (res && seed != null) res.seed = seed;
+      return res;
+    } finally {
+      random = Math.random;
+      layout = prev;
+    }
+  }
 
-    for (const [r, c] of shuffle(Array.from({length:81}, (_,i) => [(i/9)|0, i%9]))) {
-      if (removed >= target) break;
-      const saved = puzzle[r][c];
-      puzzle[r][c] = 0;
-      if (countSolutions(puzzle) === 1) removed++;
-      else puzzle[r][c] = saved;
+  function generateWith(t, symmetry, size, variant, onProgress) {
+    let best = null;
+    /* Under the tier beats over it; closer to the band beats further */
+    const better = (a, b) => a.rating <= t.max
+      ? b.rating > t.max || a.rating > b.rating
+      : b.rating > t.max && a.rating < b.rating;
+    for (let i = 0; i < t.attempts; i++) {
+      const report = removed => onProgress && onProgress(
+        { attempt: i + 1, attempts: t.attempts, removed, target: t.removals }
+      );
+      const res = carve(t, report, symmetry, size, variant);
+      if (!res) continue;
+      if (res.rating > t.min && res.rating <= t.max) return res;
+      if (!best || better(res, best)) best = res;
     }
-    return { puzzle, solution };
+    return best;
+  }
+
+  /* ── Generation worker ─────────────────────────
+     One shared worker, created on first use. Cancelling a
+     job that is still running terminates the worker so the
+     abandoned search stops burning CPU; the next job spawns
+     a fresh one. Jobs are meant to run one at a time —
+     newGame() cancels the previous job before starting.
+     If the worker cannot be created or fails to load,
+     generation falls back to the main thread.
+  ─────────────────────────────────────────────────── */
+  let worker = null, workerBroken = false, nextJobId = 0;
+
+  function getWorker() {
+    if (worker || workerBroken || typeof Worker === 'undefined') return worker;
+    try { worker = new Worker('worker.js'); }
+    catch (e) { workerBroken = true; }
+    return worker;
+  }
+
+  /* ── Main-thread fallback — defers to next event tick ── */
+  function generateLocal(difficulty, job, callback, opts) {
+    setTimeout(() => {
+      if (job.cancelled) return;
+      const res = generate(difficulty, opts);
+      if (!job.cancelled) { job.done = true; callback(res); }
+    }, 0);
   }
 
-  /* ── Non-blocking wrapper — defers to next event tick ── */
-  function generateAsync(difficulty, callback) {
-    setTimeout(() => callback(generate(difficulty)), 0);
+  /* ── Non-blocking generation with cancel + progress ── */
+  function generateAsync(difficulty, callback, opts = {}) {
+    const id  = ++nextJobId;
+    const w   = getWorker();
+    const job = {
+      cancelled: false, done: false,
+      cancel() {
+        if (job.cancelled || job.done) return;
+        job.cancelled = true;
+        if (w && w === worker) { w.terminate(); worker = null; }
+      }
+    };
+    if (!w) { generateLocal(difficulty, job, callback, opts); return job; }
+
+    function detach() {
+      w.removeEventListener('message', onMessage);
+      w.removeEventListener('error', onError);
+    }
+    function onMessage(e) {
+      const msg = e.data;
+      if (msg.id !== id || job.cancelled) return;
+      if (msg.type === 'progress') { if (opts.onProgress) opts.onProgress(msg.progress); return; }
+      detach();
+      job.done = true;
+      callback(msg.result);
+    }
+    function onError(e) {
+      /* Script missing, blocked (file://) or crashed — go local */
+      e.preventDefault();
+      detach();
+      workerBroken = true;
+      if (w === worker) { w.terminate(); worker = null; }
+      if (!job.cancelled) generateLocal(difficulty, job, callback, opts);
+    }
+    w.addEventListener('message', onMessage);
+    w.addEventListener('error', onError);
+    const { onProgress, ...params } = opts;   /* functions cannot cross to the worker */
+    w.postMessage({ id, difficulty, params });
+    return job;
   }
 
   /* ── Valid candidates for empty cell (r,c) ── */
   function candidates(board, r, c) {
-    if (board[r][c]) return new Set();
-    const s = new Set([1,2,3,4,5,6,7,8,9]);
-    for (let i = 0; i < 9; i++) { s.delete(board[r][i]); s.delete(board[i][c]); }
-    const br = boxOrigin(r), bc = boxOrigin(c);
-    for (let dr = 0; dr < 3; dr++)
-      for (let dc = 0; dc < 3; dc++)
-        s.delete(board[br+dr][bc+dc]);
-    return s;
+    return new Set(digitsOf(candidateMask(board, r, c)));
   }
 
   /* ── Cells that conflict with val at (r,c) ── */
   function conflicts(board, r, c, val) {
-    const list = [];
-    for (let i = 0; i < 9; i++) {
-      if (i !== c && board[r][i] === val) list.push([r, i]);
-      if (i !== r && board[i][c] === val) list.push([i, c]);
-    }
-    const br = boxOrigin(r), bc = boxOrigin(c);
-    for (let dr = 0; dr < 3; dr++)
-      for (let dc = 0; dc < 3; dc++) {
-        const pr = br+dr, pc = bc+dc;
-        if (!(pr===r && pc===c) && board[pr][pc]===val) list.push([pr,pc]);
-      }
-    return list;
+    const { ROW, COL } = layout;
+    return layout.peers[r*layout.size+c]
+      .filter(j => board[ROW[j]][COL[j]] === val)
+      .map(j => [ROW[j], COL[j]]);
   }
 
-  return { generate, generateAsync, candidates, conflicts, boxOrigin };
+  return { generate, generateAsync, candidates, conflicts, countSolutions, solve, analyze,
+           boxOrigin, tier, tierFor, symmetries, symmetryOf, sizes,
+           variants, setLayout, layout: () => layout, spec: () => specOf(layout), unitsOf, peers, cageOf,
+           glyph, digitFrom };
 })();
@@ -0,0 +1,131 @@
+/*
+  ═══════════════════════════════════════════════════
+  FORMATS.JS — Puzzle Import & Export
+  ═══════════════════════════════════════════════════
+  Text formats in and out. Pure logic, zero DOM.
+  Parsing only checks shape — clashes and uniqueness are
+  checked by the caller with Engine.analyze().
+
+  DEPENDS ON: i18n.js — error messages are translated
+  when thrown; NAMES are catalog keys.
+
+  SIZES
+    The board size follows from the cell count: 16, 36,
+    81 or 256 cells (4×4, 6×6, 9×9, 16×16). 16×16 grids
+    use hex digits 0-F, so their blank is '.' only.
+
+  FORMATS
+    line      one character per cell, '.' or '0' for a blank
+    sdk       SadMan Sudoku: one row per line, '#X' metadata lines
+    ss        Simple Sudoku: rows split by '|', boxes by '---'
+    extended  puzzle;board;notes — one line, keeps progress
+              notes = one comma-separated digit list per cell
+
+  PUBLIC API
+    Formats.NAMES                         → { line, sdk, ss, extended }
+    Formats.write(format, puzzle, board?, notes?) → string
+    Formats.parse(text)                   → { puzzle, board?, notes? }
+                                            throws Error on bad input
+    Formats.toLine(grid)                  → one char per cell
+  ═══════════════════════════════════════════════════
+*/
+const Formats = (function () {
+
+  const t = I18n.t;
+
+  const NAMES = {
+    line:     'Line (one char per cell)',
+    sdk:      'SadMan .sdk',
+    ss:       'Simple Sudoku .ss',
+    extended: 'Extended (with progress)'
+  };
+
+  /* Box shape [rows, cols] per board size */
+  const BOXES = { 4:[2,2], 6:[2,3], 9:[3,3], 16:[4,4] };
+  const HEX   = '0123456789ABCDEF';
+
+  const glyph = (v, size) => !v ? '.' : size > 9 ? HEX[v-1] : String(v);
+  const value = (ch, size) => size > 9 ? HEX.indexOf(ch.toUpperCase()) + 1 : +ch;
+
+  const rows = (line, n) => Array.from({length:n}, (_, r) => line.slice(r*n, r*n+n));
+
+  /* ── WRITERS ──────────────────────────────────── */
+  const toLine = grid => grid.map(r => r.map(v => glyph(v, grid.length)).join('')).join('');
+
+  function toSdk(grid) {
+    return ['#S SudokuLab Tutor', ...rows(toLine(grid), grid.length)].join('\n');
+  }
+
+  function toSs(grid) {
+    const n = grid.length, [bh, bw] = BOXES[n], out = [];
+    const cut = row => Array.from({length:n/bw}, (_, b) => row.slice(b*bw, b*bw+bw)).join('|');
+    rows(toLine(grid), n).forEach((row, r) => {
+      if (r && r % bh === 0) out.push('-'.repeat(n + n/bw - 1));
+      out.push(cut(row));
+    });
+    return out.join('\n');
+  }
+
+  function toExtended(puzzle, board, notes) {
+    const n = puzzle.length;
+    const marks = notes.flatMap(row => row.map(s => [...s].sort((a,b)=>a-b).map(v => glyph(v, n)).join('')));
+    return [toLine(puzzle), toLine(board), marks.join(',')].join(';');
+  }
+
+  function write(format, puzzle, board, notes) {
+    if (format === 'sdk') return toSdk(puzzle);
+    if (format === 'ss')  return toSs(puzzle);
+    if (format === 'extended') return toExtended(puzzle, board, notes);
+    return toLine(puzzle);
+  }
+
+  /* ── READERS ──────────────────────────────────── */
+
+  /* Characters that are digits on an n×n board */
+  const digitsFor = n => n > 9 ? /^[0-9A-F]$/i : new RegExp(`^[1-${n}]$`);
+
+  /* Any of line / sdk / ss → n×n grid. Separators,
+     whitespace and '#' metadata lines are ignored. */
+  function readGrid(text) {
+    const body  = text.split(/\r?\n/).filter(l => !l.trim().startsWith('#')).join('');
+    const cells = body.replace(/[\s|+\-]/g, '');
+    const n     = Math.round(Math.sqrt(cells.length));
+    if (!BOXES[n] || n*n !== cells.length)
+      throw new Error(t('A puzzle needs 16, 36, 81 or 256 cells — found {n}.', {n: cells.length}));
+    const ok  = digitsFor(n);
+    const bad = [...cells].find(ch => ch !== '.' && !(n <= 9 && ch === '0') && !ok.test(ch));
+    if (bad) throw new Error(t('Unexpected character "{ch}" in a {n}×{n} puzzle.', {ch: bad, n}));
+    return Array.from({length:n}, (_, r) =>
+      Array.from({length:n}, (_, c) => cells[r*n+c] === '.' ? 0 : value(cells[r*n+c], n) || 0)
+    );
+  }
+
+  function readExtended(text) {
+    const [p, b, m] = text.trim().split(';');
+    const puzzle = readGrid(p);
+    const board  = readGrid(b || p);
+    const n      = puzzle.length, ok = digitsFor(n);
+    if (board.length !== n) throw new Error(t('Progress grid is a different size from the puzzle.'));
+    const fields = m ? m.split(',') : Array(n*n).fill('');
+    if (fields.length !== n*n)
+      throw new Error(t('Extended notes need {need} fields — found {n}.', {need: n*n, n: fields.length}));
+
+    const notes = Array.from({length:n}, () => Array.from({length:n}, () => new Set()));
+    for (let i = 0; i < n*n; i++) {
+      const r = (i/n)|0, c = i%n;
+      if (puzzle[r][c] && board[r][c] !== puzzle[r][c])
+        throw new Error(t('Progress changes the given at {cell}.', {cell: `R${r+1}C${c+1}`}));
+      if (![...fields[i]].every(ch => ok.test(ch)))
+        throw new Error(t('Bad notes "{notes}" at {cell}.', {notes: fields[i], cell: `R${r+1}C${c+1}`}));
+      if (!board[r][c]) for (const ch of fields[i]) notes[r][c].add(value(ch, n));
+    }
+    return { puzzle, board, notes };
+  }
+
+  function parse(text) {
+    if (!text || !text.trim()) throw new Error(t('Paste a puzzle first.'));
+    return text.includes(';') ? readExtended(text) : { puzzle: readGrid(text) };
+  }
+
+  return { NAMES, write, parse, toLine };
+})();
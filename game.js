@@ -5,27 +5,75 @@
   Central hub. Owns state, handles all actions,
   wires Engine + Hints + Render together.
 
-  LOAD ORDER: engine → hints → render → game (last)
+  LOAD ORDER: i18n → i18n-es → engine → hints → formats → bank
+              → render → game (last)
 
   KEYBOARD
     1-9  place/note   Backspace  erase    N  notes
     P    pause        Ctrl+Z     undo     Arrows  navigate
+    Ctrl+Shift+Z or Ctrl+Y  redo
+    On 16×16 the digits are 0-9 and A-F.
   ═══════════════════════════════════════════════════
 */
 
+/* Every player-facing string goes through here — see i18n.js */
+const t = I18n.t;
+
+/* ═══ PREFERENCES ═══════════════════════════════ */
+function loadPref(key, fallback) {
+  try { return localStorage.getItem(key) || fallback; }
+  catch (e) { return fallback; }
+}
+
+function savePref(key, value) {
+  try { localStorage.setItem(key, value); }
+  catch (e) { /* storage disabled — preference lasts this session */ }
+}
+
 /* ═══ STATE ═════════════════════════════════════ */
 const Game = {
   puzzle: null, solution: null, board: null, notes: null,
   selected: null, noteMode: false, checkOn: true, paused: false,
   tab: 'tutor', lessonIdx: 0,
-  difficulty: 'easy', mistakes: 0, score: 0, seconds: 0, streak: 0, strictMode: true,
-  hint: null, conflicts: [], message: null, techUsed: {},
+  difficulty: 'easy', daily: null, grade: null, symmetry: 'none',
+  symmetryPref: loadPref('sudokulab-symmetry', 'rotational'),
+  variant: 'classic', variantPref: loadPref('sudokulab-variant', 'classic'),
+  size: 9, sizePref: +loadPref('sudokulab-size', '9'),
+  mistakes: 0, score: 0, seconds: 0, streak: 0, strictMode: true,
+  hint: null, hintLevel: 0, why: null, walk: null, conflicts: [], message: null, techUsed: {}, genJob: null, ioFormat: 'line',
+  info: null, infoOpen: false,   /* Engine.analyze() of the current puzzle, computed on first open */
+  entry: false,                  /* typing givens in — see enterPuzzle() */
+  unique: true,                  /* one solution proven — lets hints use uniqueness techniques */
+  noteHints: loadPref('sudokulab-notehints', 'off') === 'on',   /* hints start from the player's notes */
   soundOn: true,   /* mirrors Sound.enabled — readable by render.js without load-order dependency */
-  history: [], timer: null, wrongTimer: null, done: false
+  restored: false,               /* brought back from the save, still paused — see resumeSaved() */
+  history: [], future: [],       /* undo and redo stacks — see HISTORY */
+  timer: null, wrongTimer: null, wrong: null, done: false
 };
 
 const DIFFICULTIES = ['beginner','easy','medium','hard','expert'];
 
+/* Show Move reveals a hint one level at a time; each level costs points.
+   Names are catalog keys — shown through t(). */
+const HINT_LEVELS = [
+  { name:'Nudge',  cost:2  },   /* technique and where to look */
+  { name:'Digit',  cost:4  },   /* the digit to look for */
+  { name:'Cell',   cost:6  },   /* the target cell lights up */
+  { name:'Answer', cost:10 }    /* full explanation and the Place button */
+];
+
+/* Name and one-line rule reminder per Engine.variants() entry — catalog keys */
+const VARIANT_NAMES = { classic:'classic', x:'X-Sudoku', jigsaw:'jigsaw', killer:'killer' };
+const VARIANT_RULES = {
+  classic: 'Every row, column and box holds each digit once.',
+  x:       'Rows, columns, boxes AND both long diagonals hold each digit once.',
+  jigsaw:  'Rows, columns and the irregular regions hold each digit once.',
+  killer:  'Rows, columns and boxes hold 1-9 once; each dashed cage adds up to its sum with no repeats.'
+};
+
+/* Digit as shown on the board — hex on 16×16 */
+const glyph = v => Engine.glyph(v);
+
 /* ═══ SHARED HELPERS ════════════════════════════ */
 
 /* Single fmt() — used by timer and win modal */
@@ -36,18 +84,21 @@ function setMessage(icon, title, body) {
   Game.message = { icon, title, body };
 }
 
-/* Remove invalid notes from all peers of (row, col) */
-function clearNotes(row, col) {
-  const br = Engine.boxOrigin(row), bc = Engine.boxOrigin(col);
-  const seen = new Set();
-  const peers = [];
-  const add = (r,c) => { const k=r*9+c; if(!seen.has(k)){seen.add(k);peers.push([r,c]);} };
+/* "a, b and c" / "a, b or c" */
+const joinList = (items, word = 'and') => items.length ? I18n.list(items, word) : '';
+
+/* What a cell's digit must not repeat in: "row 2", "box 1", "cage"… */
+function unitLabels(row, col) {
+  const labels = Engine.unitsOf(row, col).map(I18n.unit);
+  if (Engine.cageOf(row, col)) labels.push(t('its cage'));
+  return labels;
+}
 
-  for (let i = 0; i < 9; i++) { add(row,i); add(i,col); }
-  for (let dr = 0; dr < 3; dr++)
-    for (let dc = 0; dc < 3; dc++) add(br+dr, bc+dc);
+const cap = s => s[0].toUpperCase() + s.slice(1);
 
-  for (const [r,c] of peers) {
+/* Remove invalid notes from all peers of (row, col) */
+function clearNotes(row, col) {
+  for (const [r,c] of Engine.peers(row, col)) {
     if (Game.board[r][c] || !Game.notes[r][c].size) continue;
     const valid = Engine.candidates(Game.board, r, c);
     for (const n of [...Game.notes[r][c]])
@@ -56,8 +107,8 @@ function clearNotes(row, col) {
 }
 
 function checkWin() {
-  for (let r = 0; r < 9; r++)
-    for (let c = 0; c < 9; c++)
+  for (let r = 0; r < Game.size; r++)
+    for (let c = 0; c < Game.size; c++)
       if (Game.board[r][c] !== Game.solution[r][c]) return false;
   return true;
 }
@@ -67,10 +118,13 @@ function triggerWin() {
   clearInterval(Game.timer);
   clearTimeout(Game.wrongTimer);   /* cancel any pending wrong-placement revert */
   document.getElementById('wP').textContent =
-    `Time: ${fmt(Game.seconds)}  ·  Score: ${Game.score}  ·  Mistakes: ${Game.mistakes}`;
+    t('Time: {time}  ·  Score: {score}  ·  Mistakes: {mistakes}', {time: fmt(Game.seconds), score: Game.score, mistakes: Game.mistakes});
   document.getElementById('wM').classList.add('sh');
-  setMessage('🎉','Puzzle Complete!',
-    `Solved in ${fmt(Game.seconds)} with ${Game.mistakes} mistake${Game.mistakes!==1?'s':''}.`
+  if (Game.daily) recordDaily();
+  saveGame();   /* drops the save — nothing left to resume */
+  setMessage('🎉',t('Puzzle Complete!'),
+    t(['Solved in {time} with {n} mistake.', 'Solved in {time} with {n} mistakes.'], {time: fmt(Game.seconds), n: Game.mistakes}) +
+    (Game.daily ? '\n' + t('Daily puzzle for {day} recorded.', {day: Game.daily}) : '')
   );
   playSound('win');
 }
@@ -79,7 +133,7 @@ function triggerWin() {
 
 function animateCell(row, col, cls, ms) {
   requestAnimationFrame(() => {
-    const cell = document.querySelectorAll('.c')[row*9+col];
+    const cell = document.querySelectorAll('.c')[row*Game.size+col];
     if (!cell) return;
     cell.classList.add(cls);
     setTimeout(() => cell.classList.remove(cls), ms);
@@ -88,7 +142,7 @@ function animateCell(row, col, cls, ms) {
 
 function showScorePop(row, col, text, colour) {
   const brd  = document.getElementById('brd');
-  const sz   = brd.offsetWidth / 9;
+  const sz   = brd.offsetWidth / Game.size;
   const rect = brd.getBoundingClientRect();
   const el   = document.createElement('div');
   el.className = 'score-pop';
@@ -119,31 +173,13 @@ function checkCompletedUnits(row, col) {
     }
   };
 
-  /* Row */
-  let rowDone = true;
-  for (let c = 0; c < 9; c++)
-    if (Game.board[row][c] !== Game.solution[row][c]) { rowDone=false; break; }
-  if (rowDone) { flash(Array.from({length:9},(_,c)=>row*9+c)); playSound('rowDone'); }
-
-  /* Column */
-  let colDone = true;
-  for (let r = 0; r < 9; r++)
-    if (Game.board[r][col] !== Game.solution[r][col]) { colDone=false; break; }
-  if (colDone) { flash(Array.from({length:9},(_,r)=>r*9+col)); if(!rowDone) playSound('rowDone'); }
-
-  /* Box */
-  const br = Engine.boxOrigin(row), bc = Engine.boxOrigin(col);
-  let boxDone = true;
-  for (let dr = 0; dr < 3 && boxDone; dr++)
-    for (let dc = 0; dc < 3; dc++)
-      if (Game.board[br+dr][bc+dc] !== Game.solution[br+dr][bc+dc]) { boxDone=false; break; }
-  if (boxDone) {
-    const idx = [];
-    for (let dr = 0; dr < 3; dr++)
-      for (let dc = 0; dc < 3; dc++) idx.push((br+dr)*9+(bc+dc));
-    flash(idx);
-    playSound('boxDone');
-  }
+  /* Every unit through the cell — rows, columns, diagonals chime
+     like a row; boxes and jigsaw regions like a box */
+  const done = Engine.unitsOf(row, col).filter(u =>
+    u.cells.every(([r,c]) => Game.board[r][c] === Game.solution[r][c]));
+  for (const u of done) flash(u.ids);
+  if (done.some(u => u.type !== 'box')) playSound('rowDone');
+  if (done.some(u => u.type === 'box')) playSound('boxDone');
 }
 
 /* ═══ SOUND ════════════════════════════════════ */
@@ -211,80 +247,382 @@ function startTimer() {
   }, 1000);
 }
 
+/* The clock stops while the page is hidden, so time spent
+   in the background does not count */
+const clockRuns = () => Game.puzzle && !Game.genJob && !Game.done && !Game.paused && !Game.walk && !Game.entry;
+
+document.addEventListener('visibilitychange', () => {
+  clearInterval(Game.timer);
+  if (document.visibilityState === 'hidden') saveGame();
+  else if (clockRuns()) startTimer();
+});
+window.addEventListener('pagehide', saveGame);
+
+/* ═══ SAVED GAME ════════════════════════════════
+   The game in progress is kept in localStorage after
+   each move and whenever the page is hidden, so a reload
+   or a closed PWA comes back to it. Sets (notes, and the
+   notes inside history) are stored as { set: [...] }.
+   A finished game is dropped; one being typed in is not
+   saved until Start.
+   ═══════════════════════════════════════════════ */
+const SAVE_KEY = 'sudokulab-game';
+const SAVED = ['puzzle','solution','board','notes','history','future','seconds','score','mistakes','streak','techUsed',
+               'difficulty','daily','grade','symmetry','unique','noteMode','checkOn','strictMode','soundOn'];
+
+function saveGame() {
+  if (!Game.puzzle || Game.entry) return;
+  try {
+    if (Game.done) { localStorage.removeItem(SAVE_KEY); return; }
+    const state = {layout: Engine.spec()};
+    for (const k of SAVED) state[k] = Game[k];
+    /* A wrong digit still showing is saved as it will settle:
+       gone, with the cell's notes back */
+    if (Game.wrong) {
+      const {row, col, notes} = Game.wrong;
+      state.board = Game.board.map(r => [...r]);
+      state.notes = Game.notes.map(r => [...r]);
+      state.board[row][col] = 0;
+      state.notes[row][col] = notes;
+    }
+    localStorage.setItem(SAVE_KEY, JSON.stringify(state, (k, v) => v instanceof Set ? {set: [...v]} : v));
+  } catch (e) { /* storage full or disabled — the game lasts this session */ }
+}
+
+function loadSave() {
+  try { return JSON.parse(localStorage.getItem(SAVE_KEY), (k, v) => v && Array.isArray(v.set) ? new Set(v.set) : v); }
+  catch (e) { return null; }
+}
+
+/* Restart a saved game paused, so the clock waits for the
+   player. False when there is nothing usable to resume. */
+function resumeSaved(saved) {
+  if (!saved || !saved.puzzle) return false;
+  const {puzzle, solution, board, notes, layout, grade, symmetry, difficulty, daily, unique} = saved;
+  try {
+    startGame({puzzle, solution, board, notes, layout, symmetry, ...grade}, difficulty, {daily, unique});
+  } catch (e) {
+    return false;
+  }
+  for (const k of ['history','future','seconds','score','mistakes','streak','techUsed','noteMode','checkOn','strictMode','soundOn'])
+    if (k in saved) Game[k] = saved[k];
+  Sound.enabled = Game.soundOn;
+  clearInterval(Game.timer);
+  Object.assign(Game, {paused: true, restored: true});
+  document.getElementById('brd').classList.toggle('note-mode', Game.noteMode);
+  const filled = Game.board.flat().filter(Boolean).length;
+  setMessage('↺', t('Welcome Back'),
+    t('Your {level} puzzle is where you left it: {time} on the clock, {filled} of {total} cells filled.',
+      {level: t(difficulty), time: fmt(Game.seconds), filled, total: Game.size*Game.size}) + '\n' +
+    t('Press Resume (or P) to carry on, or start a new puzzle.'));
+  saveGame();
+  Render.all();
+  return true;
+}
+
+/* ═══ HISTORY ═══════════════════════════════════
+   Each move is one command: every cell it changed, with
+   its digit and notes before and after — peer notes a
+   placement pruned and cells Auto Notes filled included —
+   and the score, streak and mistakes either side. Undo
+   puts the before side back, redo the after side —
+   counters included, so hint costs paid after a move are
+   refunded by undoing it, and undoing every move lands
+   on the starting score. A new move drops the redo stack.
+   tests/undo.js plays every kind of move and undoes them.
+   ═══════════════════════════════════════════════ */
+const counters = () => ({score: Game.score, streak: Game.streak, mistakes: Game.mistakes});
+
+/* Board, notes and counters before a move — hand to record() */
+const snapshot = () =>
+  ({board: Game.board.map(r => [...r]), notes: Game.notes.map(r => r.map(s => new Set(s))), ...counters()});
+
+const sameNotes = (a, b) => a.size === b.size && [...a].every(d => b.has(d));
+
+function record(type, {board, notes, ...from}) {
+  const cells = [], to = counters();
+  for (let r = 0; r < Game.size; r++)
+    for (let c = 0; c < Game.size; c++)
+      if (board[r][c] !== Game.board[r][c] || !sameNotes(notes[r][c], Game.notes[r][c]))
+        cells.push({r, c, from: [board[r][c], notes[r][c]], to: [Game.board[r][c], new Set(Game.notes[r][c])]});
+  if (!cells.length && Object.keys(to).every(k => to[k] === from[k])) return;
+  Game.history.push({type, cells, from, to});
+  Game.future = [];
+}
+
+/* A wrong digit shows for a moment before it goes. Any
+   other move settles it first, so the revert never lands
+   on top of an undo. */
+function settleWrong() {
+  if (!Game.wrong) return;
+  clearTimeout(Game.wrongTimer);
+  const {row, col, notes} = Game.wrong;
+  Game.board[row][col] = 0;
+  Game.notes[row][col] = notes;
+  Game.conflicts = [];
+  Game.wrong = null;
+}
+
+/* Move one command across the stacks, setting its `side` */
+function replay(from, to, side) {
+  if (Game.paused || Game.walk) return;
+  settleWrong();
+  const m = from.pop();
+  if (m) {
+    for (const cell of m.cells) {
+      const [val, notes] = cell[side];
+      Game.board[cell.r][cell.c] = val;
+      Game.notes[cell.r][cell.c] = new Set(notes);
+    }
+    Object.assign(Game, m[side]);
+    to.push(m);
+    Game.hint = null;
+    Game.why = null;
+  }
+  if (Game.entry) Game.conflicts = entryClashes();
+  saveGame();
+  Render.all();
+  if (m && !Game.entry && !Game.done && checkWin()) triggerWin();
+}
+
+function undoMove() { replay(Game.history, Game.future, 'from'); }
+function redoMove() { replay(Game.future, Game.history, 'to'); }
+
 /* ═══ GAME ACTIONS ══════════════════════════════ */
 
-function newGame(difficulty) {
+/* Overlay text while a puzzle is being carved */
+function showGenProgress({attempt, removed, target}) {
+  const el = document.getElementById('loadMsg');
+  if (!el) return;
+  const pct = Math.min(99, Math.round(removed / target * 100));
+  el.textContent = `${t('Generating puzzle…')} ${pct}%` + (attempt > 1 ? ' ' + t('(try {n})', {n: attempt}) : '');
+}
+
+/* Current generator preferences — what the bank keeps stocked */
+const bankParams = () => ({size: Game.sizePref, variant: Game.variantPref, symmetry: Game.symmetryPref});
+
+/* opts = { seed?, daily?, intro?, symmetry?, size?, variant? } — see newDaily()
+   Unseeded games come from the puzzle bank when it has one ready. */
+function newGame(difficulty, opts = {}) {
   clearInterval(Game.timer);
+  /* Cancel any generation still running so its late result
+     cannot overwrite the game requested now. */
+  if (Game.genJob) Game.genJob.cancel();
+  Bank.pause();   /* the worker is needed for this game */
+  const params = {
+    size: opts.size || Game.sizePref,
+    variant: opts.variant || Game.variantPref,
+    symmetry: opts.symmetry || Game.symmetryPref
+  };
   const ov = document.getElementById('loadOverlay');
-  if (ov) ov.classList.add('show');
-
-  Engine.generateAsync(difficulty, ({puzzle, solution}) => {
+  const begin = result => {
+    Game.genJob = null;
     if (ov) ov.classList.remove('show');
+    /* No attempt could be carved — keep the game on screen,
+       or with none yet try easy, then fall back to typing one in */
+    if (!result) {
+      if (!Game.puzzle) { if (difficulty !== 'easy') newGame('easy'); else enterPuzzle(); return; }
+      if (clockRuns()) startTimer();
+      setMessage('⚠', t('No Puzzle This Time'),
+        t('The generator could not build a {level} puzzle. Try again, or pick another difficulty.', {level: t(difficulty)}));
+      Render.all();
+      return;
+    }
+    startGame(result, difficulty, opts);
+  };
+  const generate = () => {
+    if (ov) ov.classList.add('show');
+    const msg = document.getElementById('loadMsg');
+    if (msg) msg.textContent = t('Generating puzzle…');
+    Game.genJob = Engine.generateAsync(difficulty, begin,
+      {...params, seed: opts.seed, onProgress: showGenProgress});
+  };
+  /* Seeded games must come out the same for everyone */
+  if (opts.seed != null) { generate(); return; }
 
-    Game.difficulty = difficulty;
-    Game.puzzle     = puzzle;
-    Game.solution   = solution;
-    Game.board      = puzzle.map(r=>[...r]);
-    Game.notes      = Array.from({length:9},()=>Array.from({length:9},()=>new Set()));
-
-    Object.assign(Game, {
-      selected:null, noteMode:false, mistakes:0, score:0,
-      seconds:0, done:false, history:[], hint:null, strictMode: Game.strictMode,
-      conflicts:[], techUsed:{}, streak:0, paused:false
-    });
-
-    setMessage('🎯','Ready!',
-      `${difficulty[0].toUpperCase()+difficulty.slice(1)} puzzle loaded.\n` +
-      `Tap a cell to begin, or press "Show Move" for your first hint.`
-    );
-    document.getElementById('wM').classList.remove('sh');
-    startTimer();
-    Render.all();
+  const job = Game.genJob = { cancelled: false, cancel() { job.cancelled = true; } };
+  Bank.take(difficulty, params, banked => {
+    if (job.cancelled) return;
+    if (banked) begin(banked); else generate();
   });
 }
 
+/* Reset all per-puzzle state and start the clock.
+   Shared by generated, imported and linked puzzles. */
+function startGame({puzzle, solution, rating, hardest, symmetry, layout, board, notes}, difficulty, {intro, daily, unique = true} = {}) {
+  clearInterval(Game.timer);
+  clearTimeout(Game.wrongTimer);
+  Game.wrong      = null;
+  const active    = Engine.setLayout(layout || {size: puzzle.length, variant:'classic'});
+  Game.variant    = active.variant;
+  Game.size       = active.size;
+  Game.difficulty = difficulty;
+  Game.daily      = daily || null;
+  Game.unique     = unique;   /* generated puzzles are unique by construction */
+  Game.symmetry   = symmetry || Engine.symmetryOf(puzzle);
+  Game.grade      = { rating, hardest };
+  Game.puzzle     = puzzle;
+  Game.solution   = solution;
+  Game.board      = board || puzzle.map(r=>[...r]);
+  Game.notes      = notes || puzzle.map(row => row.map(() => new Set()));
+
+  Object.assign(Game, {
+    selected:null, noteMode:false, mistakes:0, score:0,
+    seconds:0, done:false, history:[], future:[], wrong:null, hint:null, hintLevel:0, why:null, walk:null, strictMode: Game.strictMode,
+    conflicts:[], techUsed:{}, streak:0, paused:false, info:null, entry:false, restored:false
+  });
+
+  setMessage('🎯',t('Ready!'),
+    (intro || t('{level} puzzle loaded', {level: cap(t(difficulty))})) +
+    ' ' + t('(rating {rating} — {hardest}).', {rating: rating.toFixed(1), hardest}) + '\n' +
+    (Game.variant !== 'classic' ? t(VARIANT_RULES[Game.variant]) + '\n' : '') +
+    t('Tap a cell to begin, or press "Show Move" for your first hint.')
+  );
+  document.getElementById('wM').classList.remove('sh');
+  startTimer();
+  saveGame();
+  Render.all();
+  Bank.refill(DIFFICULTIES, bankParams());   /* top up while this game is played */
+}
+
+/* ═══ DAILY PUZZLE ══════════════════════════════
+   Seeded from the local date, so everyone who opens
+   the app on the same day gets the same grid without
+   a server. Completions live in localStorage:
+     { 'YYYY-MM-DD': { seconds, score, mistakes } }
+   ═══════════════════════════════════════════════ */
+const DAILY_DIFFICULTY = 'medium';
+const DAILY_SYMMETRY   = 'rotational';   /* fixed, so preferences can't change the grid */
+const DAILY_KEY        = 'sudokulab-daily';
+
+function dailyKey(date = new Date()) {
+  const p = n => String(n).padStart(2,'0');
+  return `${date.getFullYear()}-${p(date.getMonth()+1)}-${p(date.getDate())}`;
+}
+
+function dailyRecords() {
+  try { return JSON.parse(localStorage.getItem(DAILY_KEY)) || {}; }
+  catch (e) { return {}; }
+}
+
+/* Keep the best time for each day */
+function recordDaily() {
+  const recs = dailyRecords(), prev = recs[Game.daily];
+  if (prev && prev.seconds <= Game.seconds) return;
+  recs[Game.daily] = { seconds: Game.seconds, score: Game.score, mistakes: Game.mistakes };
+  try { localStorage.setItem(DAILY_KEY, JSON.stringify(recs)); }
+  catch (e) { /* storage full or disabled — the win still counts on screen */ }
+}
+
+function newDaily() {
+  const day  = dailyKey();
+  const prev = dailyRecords()[day];
+  newGame(DAILY_DIFFICULTY, {
+    seed: 'daily-' + day, daily: day, symmetry: DAILY_SYMMETRY, size: 9, variant: 'classic',
+    intro: prev ? t('Daily puzzle for {day} loaded — you already solved it in {time}', {day, time: fmt(prev.seconds)})
+                : t('Daily puzzle for {day} loaded', {day})
+  });
+}
+
+/* Cycle the clue-layout preference; applies to the next new game */
+function cycleSymmetry() {
+  const all = Engine.symmetries();
+  Game.symmetryPref = all[(all.indexOf(Game.symmetryPref) + 1) % all.length];
+  savePref('sudokulab-symmetry', Game.symmetryPref);
+  const sym = t(Game.symmetryPref);
+  setMessage('✦', t('Symmetry: {symmetry}', {symmetry: sym}),
+    Game.symmetryPref === 'none'
+      ? t('Clues will be scattered freely in new puzzles.')
+      : t('New puzzles will place their clues with {symmetry} symmetry.\nStart a new game to see it.', {symmetry: sym})
+  );
+  Render.all();
+}
+
+/* Switch variant and start a puzzle in it straight away */
+function cycleVariant() {
+  const all = Engine.variants(Game.size);
+  Game.variantPref = all[(all.indexOf(Game.variant) + 1) % all.length];
+  savePref('sudokulab-variant', Game.variantPref);
+  newGame(Game.difficulty, {size: Game.size});
+}
+
+/* Same for board size. Variants a size does not offer
+   fall back to classic inside Engine.generate(). */
+function cycleSize() {
+  const all = Engine.sizes();
+  Game.sizePref = all[(all.indexOf(Game.size) + 1) % all.length];
+  savePref('sudokulab-size', Game.sizePref);
+  newGame(Game.difficulty);
+}
+
+/* Fill the language picker and translate the static page */
+function initLanguage() {
+  const sel = document.getElementById('lang');
+  if (sel) {
+    sel.innerHTML = I18n.languages().map(({code, name}) => `<option value="${code}">${name}</option>`).join('');
+    sel.value = I18n.lang();
+  }
+  I18n.apply();
+}
+
+/* Text already on screen switches now; an open hint keeps
+   the language it was found in until the next one */
+function setLanguage(code) {
+  I18n.setLang(code);
+  I18n.apply();
+  const name = I18n.languages().find(l => l.code === code).name;
+  setMessage('🌐', name, t('Messages, lessons and hints now show in {language}.', {language: name}));
+  Render.all();
+}
+
 function nextLevel() {
   newGame(DIFFICULTIES[Math.min(DIFFICULTIES.indexOf(Game.difficulty)+1, 4)]);
 }
 
 function selectCell(row, col) {
-  if (Game.paused) return;
+  if (Game.paused || Game.walk) return;
   Game.selected = [row, col];
   Game.hint = null;
-  Game.conflicts = [];
+  Game.why = null;
   playSound('tap');
+  if (Game.entry) {
+    Game.conflicts = entryClashes();
+    setMessage('✎',`R${row+1}C${col+1}`,
+      t("Type this cell's given, or Backspace to clear it. Empty cells stay blank."));
+    Render.all();
+    return;
+  }
+  Game.conflicts = [];
 
   const val     = Game.board[row][col];
   const isGiven = !!Game.puzzle[row][col];
 
   if (isGiven) {
-    setMessage('📌',`Given: ${val}`,
-      `This digit is printed in the puzzle — it cannot be changed.\n` +
-      `It constrains row ${row+1}, col ${col+1}, and its 3×3 box.`
+    setMessage('📌',t('Given: {d}', {d: glyph(val)}),
+      t('This digit is printed in the puzzle — it cannot be changed.\nIt constrains {units}.', {units: joinList(unitLabels(row, col))})
     );
   } else if (val) {
     const ok = val === Game.solution[row][col];
-    setMessage(ok?'✅':'⚠️', ok?`Correct: ${val}`:`Wrong: ${val}`,
-      ok ? `${val} is correctly placed. It locks this digit in its row, col, and box.`
-         : `${val} is not correct here.\nTap Erase (or Backspace) to remove it.`
+    setMessage(ok?'✅':'⚠️', t(ok ? 'Correct: {d}' : 'Wrong: {d}', {d: glyph(val)}),
+      ok ? t('{d} is correctly placed. It locks this digit in {units}.', {d: glyph(val), units: joinList(unitLabels(row, col))})
+         : t('{d} is not correct here.\nTap Erase (or Backspace) to remove it.', {d: glyph(val)})
     );
   } else {
     const cands = Engine.candidates(Game.board, row, col);
+    const cell  = `R${row+1}C${col+1}`;
     if (!cands.size) {
-      setMessage('🚫','No Valid Candidates!',
-        `R${row+1}C${col+1} has no legal digit — there is a mistake elsewhere.\n` +
-        `Use Undo to backtrack.`
+      setMessage('🚫',t('No Valid Candidates!'),
+        t('{cell} has no legal digit — there is a mistake elsewhere.\nUse Undo to backtrack.', {cell})
       );
     } else if (cands.size === 1) {
-      setMessage('💡','Naked Single!',
-        `Only ${[...cands][0]} can go in R${row+1}C${col+1}.\n` +
-        `All other digits are blocked by its row, column, or box.\n` +
-        `Tap ${[...cands][0]} on the number pad to place it.`
+      setMessage('💡',t('Naked Single!'),
+        t('Only {d} can go in {cell}.\nAll other digits are blocked by {units}.\nTap {d} on the number pad to place it.',
+          {d: glyph([...cands][0]), cell, units: joinList(unitLabels(row, col), 'or')})
       );
     } else {
-      setMessage('🔍',`${cands.size} Candidates`,
-        `R${row+1}C${col+1} could hold: ${[...cands].join(', ')}\n\n` +
-        `Tap "Show Move" for a full explanation of the next best move.`
+      setMessage('🔍',t('{n} Candidates', {n: cands.size}),
+        t('{cell} could hold: {digits}', {cell, digits: [...cands].map(glyph).join(', ')}) + '\n\n' +
+        t('Tap "Show Move" for a full explanation of the next best move.')
       );
     }
   }
@@ -292,33 +630,36 @@ function selectCell(row, col) {
 }
 
 function placeNumber(n) {
-  if (!Game.selected || Game.done || Game.paused) return;
+  if (!Game.selected || Game.done || Game.paused || Game.walk) return;
+  if (Game.entry) { enterGiven(n); return; }
   const [row, col] = Game.selected;
   if (Game.puzzle[row][col]) return;
+  settleWrong();
+  const before = snapshot();
 
   /* ── Note mode ── */
   if (Game.noteMode) {
     if (Game.notes[row][col].has(n)) {
-      Game.history.push({type:'note',r:row,c:col,prev:new Set(Game.notes[row][col])});
       Game.notes[row][col].delete(n);
     } else {
       if (!Engine.candidates(Game.board,row,col).has(n)) {
         playSound('wrong'); flashBoard();
-        setMessage('🚫',`${n} Not Valid Here`,
-          `${n} already exists in this cell's row, column, or box.`
+        setMessage('🚫',t('{d} Not Valid Here', {d: glyph(n)}),
+          t('{d} is ruled out by {units}.', {d: glyph(n), units: joinList(unitLabels(row, col), 'or')})
         );
         Render.all();
         return;
       }
-      Game.history.push({type:'note',r:row,c:col,prev:new Set(Game.notes[row][col])});
       Game.notes[row][col].add(n);
     }
+    record('note', before);
+    saveGame();
     Render.all();
     return;
   }
 
   /* ── Normal placement ── */
-  Game.history.push({type:'place',r:row,c:col,val:Game.board[row][col],notes:new Set(Game.notes[row][col])});
+  Game.why = null;
   const savedNotes = new Set(Game.notes[row][col]);
   Game.board[row][col] = n;
   Game.notes[row][col] = new Set();
@@ -330,29 +671,41 @@ function placeNumber(n) {
     Game.score = Math.max(0, Game.score-15);
     Game.streak = 0;
 
-    /* Get candidates without the wrong digit */
+    /* Candidates, less the wrong digit, and — when nothing
+       clashes — what supposing it would force */
     Game.board[row][col] = 0;
     const cands = Engine.candidates(Game.board, row, col);
+    cands.delete(n);
+    Game.why = Game.conflicts.length ? null : Hints.refute(Game.board, row, col, n, {unique: Game.unique});
+    /* Recorded as it ends once the digit goes: only the counters change */
+    Game.notes[row][col] = savedNotes;
+    record('place', before);
     Game.board[row][col] = n;
+    Game.notes[row][col] = new Set();
+    if (Game.why) { Game.why.at = 0; Game.hint = null; }
 
-    const reasons = Game.conflicts.slice(0,2).map(([cr,cc]) =>
-      cr===row ? `col ${cc+1}` : cc===col ? `row ${cr+1}` : 'box'
-    );
-    setMessage('❌',`${n} Cannot Go Here`,
-      `Conflicts with ${reasons.join(' and ')}.\n` +
-      `Valid candidates: ${[...cands].join(', ')}\n\nPenalty: −15 points.`
+    const units = Engine.unitsOf(row, col);
+    const reasons = [...new Set(Game.conflicts.map(([cr,cc]) => {
+      const u = units.find(u => u.cells.some(([r,c]) => r===cr && c===cc));
+      return t('{cell} in {unit}', {cell: `R${cr+1}C${cc+1}`, unit: u ? I18n.unit(u) : t('its cage')});
+    }))].slice(0,2);
+    setMessage('❌',t('{d} Cannot Go Here', {d: glyph(n)}),
+      (reasons.length ? t('Conflicts with {cells}.', {cells: joinList(reasons)}) + '\n'
+       : Game.why   ? `${Game.why.explain}\n${t('Step through it below.')}\n`
+                    : t(Engine.cageOf(row, col) ? 'It does not fit the solution — check the cage sum.' : 'It does not fit the solution.') + '\n') +
+      t('Valid candidates: {digits}', {digits: [...cands].map(glyph).join(', ')}) + '\n\n' + t('Penalty: −15 points.')
     );
-    Render.all(); flashBoard();
-    showScorePop(row,col,'−15','#c45c4a');
-    playSound('wrong');
     /* Track this timeout so newGame() can cancel it before it fires.
        Without this, starting a new game within 2 seconds of a wrong
        placement would overwrite the new puzzle's board with 0. */
-    clearTimeout(Game.wrongTimer);
+    Game.wrong = {row, col, notes: savedNotes};
+    saveGame();   /* the mistake counts even if the page closes before the revert */
+    Render.all(); flashBoard();
+    showScorePop(row,col,'−15','#c45c4a');
+    playSound('wrong');
     Game.wrongTimer = setTimeout(() => {
-      Game.board[row][col] = 0;
-      Game.notes[row][col] = savedNotes;
-      Game.conflicts = [];
+      settleWrong();
+      saveGame();
       Render.all();
     }, 2000);
     return;
@@ -363,15 +716,17 @@ function placeNumber(n) {
   Game.streak++;
   const pts = Game.streak>=5 ? 25 : Game.streak>=3 ? 15 : 10;
   Game.score += pts;
+  record('place', before);
 
   if (checkWin()) {
     Render.all();
     triggerWin();
   } else {
-    const bonus = Game.streak>=5?' 🔥 5+ streak!':Game.streak>=3?' ⚡ 3+ streak!':'';
-    setMessage('✅','Correct!',`${n} placed at R${row+1}C${col+1}.${bonus}`);
+    const bonus = Game.streak>=5?' 🔥 '+t('5+ streak!'):Game.streak>=3?' ⚡ '+t('3+ streak!'):'';
+    setMessage('✅',t('Correct!'),t('{d} placed at {cell}.', {d: glyph(n), cell: `R${row+1}C${col+1}`}) + bonus);
     Render.all();
   }
+  saveGame();
 
   animateCell(row,col,'ok',500);
   showScorePop(row,col,`+${pts}`,'#68ad68');
@@ -382,100 +737,252 @@ function placeNumber(n) {
 }
 
 function eraseCell() {
-  if (!Game.selected || Game.paused) return;
+  if (!Game.selected || Game.paused || Game.walk) return;
   const [r,c] = Game.selected;
   if (Game.puzzle[r][c]) return;
-  Game.history.push({type:'erase',r,c,val:Game.board[r][c],notes:new Set(Game.notes[r][c])});
+  settleWrong();
+  const before = snapshot();
   Game.board[r][c] = 0;
   Game.notes[r][c] = new Set();
-  Render.all();
-}
-
-function undoMove() {
-  if (!Game.history.length || Game.paused) return;
-  const m = Game.history.pop();
-  Game.board[m.r][m.c] = m.val || 0;
-  if (m.notes) Game.notes[m.r][m.c] = m.notes;
-  if (m.prev)  Game.notes[m.r][m.c] = m.prev;
+  record('erase', before);
+  if (Game.entry) Game.conflicts = entryClashes();
+  saveGame();
   Render.all();
 }
 
 function toggleNotes() {
   Game.noteMode = !Game.noteMode;
   document.getElementById('brd').classList.toggle('note-mode', Game.noteMode);
-  setMessage(Game.noteMode?'✏':'🔢', Game.noteMode?'Notes Mode ON':'Normal Mode',
+  setMessage(Game.noteMode?'✏':'🔢', Game.noteMode?t('Notes Mode ON'):t('Normal Mode'),
     Game.noteMode
-      ? 'Tap a cell then a number to pencil in a candidate. Tap again to erase.'
-      : 'Tap a cell then a number to place a digit.'
+      ? t('Tap a cell then a number to pencil in a candidate. Tap again to erase.')
+      : t('Tap a cell then a number to place a digit.')
   );
   Render.all();
 }
 
 function toggleCheck() {
   Game.checkOn = !Game.checkOn;
-  setMessage(Game.checkOn?'✓':'○', Game.checkOn?'Check ON':'Check OFF',
-    Game.checkOn ? 'Wrong digits highlighted in red instantly.'
-                 : 'No instant feedback — you will find out at the end.'
+  setMessage(Game.checkOn?'✓':'○', Game.checkOn?t('Check ON'):t('Check OFF'),
+    Game.checkOn ? t('Wrong digits highlighted in red instantly.')
+                 : t('No instant feedback — you will find out at the end.')
   );
   Render.all();
 }
 
 function togglePause() {
-  if (Game.done) return;
+  if (Game.done || Game.entry || Game.walk) return;
   Game.paused = !Game.paused;
+  Game.restored = false;
   if (Game.paused) {
     clearInterval(Game.timer);
-    setMessage('⏸','Paused','Board is hidden. Tap Resume (or P) to continue.');
+    setMessage('⏸',t('Paused'),t('Board is hidden. Tap Resume (or P) to continue.'));
   } else {
     startTimer();
-    setMessage('▶️','Resumed','Good luck!');
+    setMessage('▶️',t('Resumed'),t('Good luck!'));
   }
   Render.all();
 }
 
 function autoNotes() {
-  if (Game.paused) return;
-  for (let r = 0; r < 9; r++)
-    for (let c = 0; c < 9; c++)
+  if (Game.paused || Game.entry || Game.walk) return;
+  settleWrong();
+  const before = snapshot();
+  for (let r = 0; r < Game.size; r++)
+    for (let c = 0; c < Game.size; c++)
       if (!Game.board[r][c])
         Game.notes[r][c] = Engine.candidates(Game.board, r, c);
-  setMessage('📝','Auto Notes Filled',
-    'Every empty cell now shows its valid candidates.\n\n' +
-    'Look for cells with only ONE candidate — those are Naked Singles!\n' +
-    'Tap "Show Move" to find the easiest next move.'
+  record('auto', before);
+  setMessage('📝',t('Auto Notes Filled'),
+    t('Every empty cell now shows its valid candidates.') + '\n\n' +
+    t('Look for cells with only ONE candidate — those are Naked Singles!') + '\n' +
+    t('Tap "Show Move" to find the easiest next move.')
   );
+  saveGame();
   Render.all();
 }
 
+/* First press finds the move and shows the nudge; each
+   further press reveals the next of HINT_LEVELS. techUsed
+   counts hints and levels per technique. */
 function showHint() {
-  if (Game.paused) return;
-  const m = Hints.findMove(Game.board, Game.solution);
-  if (!m) return;
-  Game.hint = m;
-  Game.selected = [m.row, m.col];
-  Game.techUsed[m.technique] = (Game.techUsed[m.technique]||0) + 1;
-  setMessage('💡', m.technique, m.explain + '\n\n📖 ' + m.lesson);
+  if (Game.paused || Game.entry || Game.walk) return;
+  settleWrong();   /* hints read the board, and the wrong digit is going */
+  if (!Game.hint) {
+    const notes = Game.noteHints ? Game.notes : null;
+    if (notes) {
+      /* A hint built on notes that lost the right digit would mislead */
+      const missing = Hints.checkNotes(Game.board, notes, Game.solution).filter(p => p.kind === 'missing');
+      if (missing.length) {
+        Game.selected = [missing[0].row, missing[0].col];
+        setMessage('⚠', t('Fix Your Notes First'),
+          missing.map(p => '• ' + p.explain).join('\n') +
+          '\n\n' + t('Hints work from your notes, so they would go wrong until these digits are back.'));
+        Render.all();
+        return;
+      }
+    }
+    const m = Hints.findMove(Game.board, Game.solution, {unique: Game.unique, notes});
+    if (!m) return;
+    /* Wrong notes can lead the search to a digit the solution
+       does not have — never show it, or charge for it */
+    if (notes && m.value !== Game.solution[m.row][m.col]) {
+      setMessage('⚠', t('Fix Your Notes First'),
+        t('Working from your notes leads to a digit the solution does not have, so one of them is wrong. Check My Notes, or let hints use all candidates.'));
+      Render.all();
+      return;
+    }
+    Game.hint = m;
+    Game.why = null;
+    Game.hintLevel = 0;
+    const used = Game.techUsed[m.technique] || (Game.techUsed[m.technique] = {hints:0, levels:0});
+    used.hints++;
+  }
+  if (Game.hintLevel >= HINT_LEVELS.length) return;
+  const m = Game.hint, {cost} = HINT_LEVELS[Game.hintLevel++];
+  Game.score = Math.max(0, Game.score - cost);
+  Game.techUsed[m.technique].levels++;
+  if (Game.hintLevel >= 3) Game.selected = [m.row, m.col];
+
+  const next = HINT_LEVELS[Game.hintLevel];
+  const more = next ? '\n\n' + t('Press More for the {level} (−{cost} points).', {level: t(next.name).toLowerCase(), cost: next.cost}) : '';
+  const paid = '\n\n' + t('Hint cost: −{cost} points.', {cost});
+  const lines = [m.nudge];
+  if (Game.hintLevel >= 2) lines.push(t('Look for digit {d}.', {d: glyph(m.focus)}));
+  if (Game.hintLevel >= 3) lines.push(t('The cell is highlighted on the board.'));
+  if (Game.hintLevel < HINT_LEVELS.length)
+    setMessage('💡', t('Hint {k}/{n}', {k: Game.hintLevel, n: HINT_LEVELS.length}), lines.join('\n') + paid + more);
+  else
+    setMessage('💡', m.technique, m.explain + '\n\n📖 ' + m.lesson + paid);
+  saveGame();
   Render.all();
 }
 
+/* Removes the hint's eliminated candidates from the notes,
+   then places its digit. One undo reverts both. */
 function applyHint() {
-  if (!Game.hint || Game.paused) return;
-  const {row, col, value} = Game.hint;
-  Game.history.push({type:'place',r:row,c:col,val:Game.board[row][col],notes:new Set(Game.notes[row][col])});
+  if (!Game.hint || Game.paused || Game.hintLevel < HINT_LEVELS.length) return;
+  settleWrong();
+  const {row, col, value, eliminations = []} = Game.hint;
+  /* Never place a digit the solution disagrees with */
+  if (value !== Game.solution[row][col]) {
+    Game.hint = null;
+    setMessage('⚠', t('Hint Withdrawn'), t('That hint does not match the solution, so nothing was placed. Check your notes and ask again.'));
+    Render.all();
+    return;
+  }
+  const before = snapshot();
+  const removed = eliminations.filter(([r,c,d]) => Game.notes[r][c].has(d));
+  for (const [r,c,d] of removed) Game.notes[r][c].delete(d);
   Game.board[row][col] = value;
   Game.notes[row][col] = new Set();
   clearNotes(row, col);
   Game.score += 5;
+  record('hint', before);
   Game.hint = null;
   if (checkWin()) { Render.all(); triggerWin(); }
   else {
-    setMessage('✅',`Placed ${value}`,`${value} placed at R${row+1}C${col+1} (+5 points).`);
+    setMessage('✅',t('Placed {d}', {d: glyph(value)}),t('{d} placed at {cell} (+5 points).', {d: glyph(value), cell: `R${row+1}C${col+1}`}) +
+      (removed.length ? '\n' + t(['{n} eliminated candidate removed from your notes.', '{n} eliminated candidates removed from your notes.'], {n: removed.length}) : ''));
     Render.all();
   }
+  saveGame();
+}
+
+/* Moves through the why-not chain of a wrong digit */
+function whyStep(delta) {
+  if (!Game.why) return;
+  Game.why.at = Math.max(0, Math.min(Game.why.steps.length - 1, Game.why.at + delta));
+  Render.all();
 }
 
 function clearHint() {
   Game.hint = null;
+  Game.why = null;
+  Render.all();
+}
+
+/* List notes that leave out a cell's digit or keep one a
+   placed digit already rules out */
+function checkMyNotes() {
+  if (Game.paused || Game.entry || Game.walk || !Game.puzzle) return;
+  settleWrong();   /* its cell's notes come back before they are checked */
+  Game.hint = null;
+  if (!Game.notes.some(row => row.some(s => s.size))) {
+    setMessage('📝', t('No Notes Yet'), t('Pencil in some candidates (✏ or Auto Notes), then check them.'));
+    Render.all();
+    return;
+  }
+  const problems = Hints.checkNotes(Game.board, Game.notes, Game.solution);
+  if (!problems.length) {
+    setMessage('✅', t('Notes Look Good'),
+      t('Every noted cell still lists its digit, and no note is ruled out by a placed digit.'));
+  } else {
+    const missing = problems.filter(p => p.kind === 'missing').length;
+    Game.selected = [problems[0].row, problems[0].col];
+    setMessage('🔍', t(['{n} Note Problem', '{n} Note Problems'], {n: problems.length}),
+      problems.map(p => '• ' + p.explain).join('\n') +
+      (missing ? '\n\n' + t(['A cell missing its digit can never be solved from those notes — add it back.',
+                              'Cells missing their digit can never be solved from those notes — add them back.'], {n: missing}) : ''));
+  }
+  Render.all();
+}
+
+function toggleNoteHints() {
+  Game.noteHints = !Game.noteHints;
+  savePref('sudokulab-notehints', Game.noteHints ? 'on' : 'off');
+  Game.hint = null;
+  setMessage('📝', Game.noteHints ? t('Hints Use Your Notes') : t('Hints Use All Candidates'),
+    Game.noteHints
+      ? t('Show Move now starts from your pencil marks, so it skips what you have already ruled out.')
+      : t('Show Move works from every candidate the board allows, ignoring your notes.'));
+  Render.all();
+}
+
+/* ── Walkthrough ──────────────────────────────────
+   Replays the logical solve on the board, step by step,
+   from the current position — or from the givens once
+   the puzzle is finished, for reviewing it. The clock
+   stops while it is open.
+─────────────────────────────────────────────────── */
+function startWalk() {
+  if (Game.paused || Game.entry || !Game.puzzle) return;
+  settleWrong();   /* a wrong digit still showing is not part of the solve */
+  const steps = Hints.walk(Game.done ? Game.puzzle : Game.board, Game.solution, {unique: Game.unique});
+  if (!steps.length) { Render.all(); return; }
+  document.getElementById('wM').classList.remove('sh');
+  clearInterval(Game.timer);
+  Game.hint = null;
+  Game.why = null;
+  Game.walk = {steps, at: 0};
+  walkTo(0);
+}
+
+function walkTo(i) {
+  if (!Game.walk) return;
+  const {steps} = Game.walk;
+  const at = Game.walk.at = Math.max(0, Math.min(steps.length - 1, i));
+  const s = steps[at];
+  setMessage('🧭', t('Step {k}/{n}', {k: at+1, n: steps.length}) + ` · ${s.technique}`, s.explain + '\n\n📖 ' + s.lesson);
+  Render.all();
+}
+
+function walkStep(delta) {
+  if (Game.walk) walkTo(Game.walk.at + delta);
+}
+
+function endWalk() {
+  if (!Game.walk) return;
+  Game.walk = null;
+  if (!Game.done) startTimer();
+  setMessage('🧭', t('Walkthrough Closed'),
+    Game.done ? t('Back to the finished puzzle.') : t('Back to your game — the clock is running again.'));
+  Render.all();
+}
+
+function togglePuzzleInfo() {
+  Game.infoOpen = !Game.infoOpen;
+  if (Game.infoOpen && !Game.info && Game.puzzle) Game.info = Engine.analyze(Game.puzzle);
   Render.all();
 }
 
@@ -489,23 +996,199 @@ function toggleStrict() {
   Render.actions();
 }
 
+/* ═══ IMPORT / EXPORT ═══════════════════════════ */
+const SEVERAL_SOLUTIONS = 'This puzzle has more than one solution, so it cannot be solved by logic alone.';
+
+/* Check an imported grid and start it. Throws with a
+   player-facing message when it is not a proper puzzle. */
+function loadPuzzle({puzzle, board, notes}, intro) {
+  /* Text formats carry digits only, so imports are classic */
+  const prev = Engine.layout();
+  Engine.setLayout({size: puzzle.length, variant:'classic'});
+  const info = Engine.analyze(puzzle, {minimal:false});
+  if (!info.unique) Engine.setLayout(prev);
+  if (info.duplicates.length) {
+    const cells = info.duplicates.slice(0, 4).map(([r,c]) => `R${r+1}C${c+1}`);
+    throw new Error(t('Givens clash at {cells} — the same digit appears twice in a row, column or box.', {cells: joinList(cells)}));
+  }
+  if (!info.solutions) throw new Error(t('This puzzle has no solution — check the digits you entered.'));
+  if (!info.unique) throw new Error(t(SEVERAL_SOLUTIONS));
+  const solution = Engine.solve(puzzle);
+  const {rating, hardest} = info;
+  if (Game.genJob) { Game.genJob.cancel(); Game.genJob = null; }
+  const ov = document.getElementById('loadOverlay');
+  if (ov) ov.classList.remove('show');
+  startGame({puzzle, solution, rating, hardest, board, notes}, Engine.tierFor(rating), {intro, unique: info.unique});
+}
+
+function shareUrl() {
+  return location.href.split('#')[0] + '#p=' + Formats.toLine(Game.puzzle);
+}
+
+function openShare(format = Game.ioFormat) {
+  if (!Game.puzzle) return;
+  Game.ioFormat = format;
+  document.getElementById('ioT').value =
+    Formats.write(format, Game.puzzle, Game.board, Game.notes);
+  document.getElementById('ioE').textContent = Game.variant === 'classic' ? ''
+    : t('Only the digits are exported — the {variant} layout is not part of these formats.', {variant: t(VARIANT_NAMES[Game.variant])});
+  Render.share();
+  document.getElementById('ioM').classList.add('sh');
+}
+
+function closeShare() {
+  document.getElementById('ioM').classList.remove('sh');
+}
+
+function importPuzzle() {
+  const err = document.getElementById('ioE');
+  try {
+    loadPuzzle(Formats.parse(document.getElementById('ioT').value), t('Imported puzzle loaded'));
+    closeShare();
+  } catch (e) {
+    err.textContent = e.message;
+  }
+}
+
+function copyShareLink() {
+  const url = shareUrl(), err = document.getElementById('ioE');
+  const done = () => { err.textContent = t('Link copied — anyone who opens it gets this grid.'); };
+  if (navigator.clipboard) navigator.clipboard.writeText(url).then(done, () => { err.textContent = url; });
+  else err.textContent = url;
+}
+
+/* #p=<one char per cell> in the URL loads that exact grid.
+   The hash is dropped afterwards so a reload or a later
+   newGame() does not keep re-importing it. */
+function loadFromHash() {
+  const m = location.hash.match(/^#p=(.+)$/);
+  if (!m) return false;
+  history.replaceState(null, '', location.href.split('#')[0]);
+  try {
+    loadPuzzle(Formats.parse(decodeURIComponent(m[1])), t('Shared puzzle loaded'));
+    return true;
+  } catch (e) {
+    newGame('easy', {intro: t('Link not loaded: {error}\nEasy puzzle loaded instead', {error: e.message})});
+    return true;
+  }
+}
+
+window.addEventListener('hashchange', loadFromHash);
+
+/* ═══ ENTER PUZZLE ══════════════════════════════
+   Type the givens of a book or newspaper puzzle onto
+   an empty board. Game.puzzle stays blank while typing,
+   so Erase and Undo work as usual; Start hands the
+   digits to loadPuzzle(), which checks for exactly one
+   solution and starts the clock.
+   ═══════════════════════════════════════════════ */
+function enterPuzzle() {
+  clearInterval(Game.timer);
+  clearTimeout(Game.wrongTimer);
+  if (Game.genJob) { Game.genJob.cancel(); Game.genJob = null; }
+  const n = Engine.setLayout({size: Game.size, variant:'classic'}).size;
+  const blank = () => Array.from({length:n}, () => Array(n).fill(0));
+  Object.assign(Game, {
+    entry:true, variant:'classic', daily:null, grade:null, info:null, infoOpen:false,
+    puzzle:blank(), solution:blank(), board:blank(),
+    notes:blank().map(row => row.map(() => new Set())),
+    selected:[0,0], noteMode:false, mistakes:0, score:0, seconds:0, done:false,
+    history:[], future:[], wrong:null, hint:null, hintLevel:0, why:null, walk:null, conflicts:[], techUsed:{}, streak:0, paused:false
+  });
+  document.getElementById('brd').classList.remove('note-mode');
+  document.getElementById('wM').classList.remove('sh');
+  setMessage('✎',t('Enter Puzzle'),
+    t('Type the givens onto the empty {n}×{n} board — each digit moves you to the next cell.\nClashing givens are highlighted as you type. Press Start when every given is in.', {n})
+  );
+  Render.all();
+}
+
+/* Every typed given that repeats a digit in one of its units */
+function entryClashes() {
+  const out = [];
+  for (let r = 0; r < Game.size; r++)
+    for (let c = 0; c < Game.size; c++) {
+      const v = Game.board[r][c];
+      if (v && Engine.conflicts(Game.board, r, c, v).length) out.push([r, c]);
+    }
+  return out;
+}
+
+function enterGiven(n) {
+  const [row, col] = Game.selected, size = Game.size;
+  const before = snapshot();
+  Game.board[row][col] = n;
+  record('place', before);
+  const clash = Engine.conflicts(Game.board, row, col, n);
+  Game.conflicts = entryClashes();
+  if (clash.length) {
+    setMessage('⚠️',t('{d} Clashes', {d: glyph(n)}),
+      t('{d} at {cell} repeats {cells}.\nCheck the book — one of these givens was copied wrong.',
+        {d: glyph(n), cell: `R${row+1}C${col+1}`, cells: joinList(clash.map(([r,c]) => `R${r+1}C${c+1}`))})
+    );
+  } else {
+    const i = row*size + col + 1;
+    if (i < size*size) Game.selected = [(i/size)|0, i%size];
+    setMessage('✎',t('{d} at {cell}', {d: glyph(n), cell: `R${row+1}C${col+1}`}),
+      t(['{n} given entered. Press Start when done.', '{n} givens entered. Press Start when done.'], {n: Game.board.flat().filter(Boolean).length}));
+  }
+  playSound('tap');
+  Render.all();
+}
+
+function startEntered() {
+  if (!Game.entry) return;
+  const puzzle = Game.board.map(row => [...row]);
+  try {
+    loadPuzzle({puzzle}, t('Your puzzle is ready'));
+  } catch (e) {
+    const clues = puzzle.flat().filter(Boolean).length;
+    Game.conflicts = entryClashes();
+    setMessage('🚫',t('Cannot Start Yet'),
+      e.message + '\n' +
+      (Game.conflicts.length ? t('Fix the highlighted cells, then press Start again.')
+        : e.message === t(SEVERAL_SOLUTIONS)
+          ? t(['{n} given leaves several ways to finish the grid — a given is probably missing.',
+               '{n} givens leave several ways to finish the grid — a given is probably missing.'], {n: clues})
+          : t('The givens do not clash directly, yet no grid completes them — look for a digit copied into the wrong cell.'))
+    );
+    Render.all();
+  }
+}
+
+/* Leave entry mode without starting — back to a generated puzzle */
+function cancelEntry() {
+  Game.entry = false;
+  newGame(Game.difficulty);
+}
+
 /* ═══ KEYBOARD ══════════════════════════════════ */
 document.addEventListener('keydown', e => {
   if (e.key==='p'||e.key==='P') { togglePause(); return; }
   if (Game.paused) return;
-  if (e.key>='1'&&e.key<='9') { placeNumber(+e.key); return; }
+  if (Game.walk) {
+    const mv = {ArrowLeft:-1, ArrowRight:1, ArrowUp:-1, ArrowDown:1};
+    if (mv[e.key]) { e.preventDefault(); walkStep(mv[e.key]); }
+    if (e.key==='Escape') endWalk();
+    return;
+  }
+  const digit = e.key.length === 1 && !e.ctrlKey && !e.metaKey ? Engine.digitFrom(e.key) : 0;
+  if (digit) { placeNumber(digit); return; }
   if (e.key==='Backspace'||e.key==='Delete') { eraseCell(); return; }
   if (e.key==='n'||e.key==='N') { toggleNotes(); return; }
-  if ((e.ctrlKey||e.metaKey)&&e.key==='z') { e.preventDefault(); undoMove(); return; }
+  const mod = e.ctrlKey||e.metaKey, key = e.key.toLowerCase();
+  if (mod && (key==='y' || key==='z' && e.shiftKey)) { e.preventDefault(); redoMove(); return; }
+  if (mod && key==='z') { e.preventDefault(); undoMove(); return; }
   if (Game.selected) {
-    const [r,c] = Game.selected;
-    const mv = {ArrowUp:[Math.max(0,r-1),c],ArrowDown:[Math.min(8,r+1),c],ArrowLeft:[r,Math.max(0,c-1)],ArrowRight:[r,Math.min(8,c+1)]};
+    const [r,c] = Game.selected, last = Game.size - 1;
+    const mv = {ArrowUp:[Math.max(0,r-1),c],ArrowDown:[Math.min(last,r+1),c],ArrowLeft:[r,Math.max(0,c-1)],ArrowRight:[r,Math.min(last,c+1)]};
     if (mv[e.key]) { e.preventDefault(); Game.selected=mv[e.key]; Render.all(); }
   }
 });
 
 /* ═══ START ═════════════════════════════════════ */
-newGame('easy');
+initLanguage();
+if (!loadFromHash() && !resumeSaved(loadSave())) newGame('easy');
 
 function toggleStrict() {
   Game.strictMode = !Game.strictMode;
@@ -4,115 +4,195 @@
   ═══════════════════════════════════════════════════
   Finds the easiest available move and explains WHY.
 
-  DEPENDS ON: engine.js
+  DEPENDS ON: engine.js — units, peers and cages come
+  from the active Engine.layout(), so every technique
+  works on X, Jigsaw and Killer grids unchanged.
+  i18n.js — explanations, lessons and nudges are written
+  through I18n.t(); technique names stay in English.
 
   TECHNIQUE PRIORITY
     1. Naked Single  — only one candidate in a cell
     2. Hidden Single — digit fits only one cell in a unit
-    3. Fallback      — shows solution when advanced needed
+    3. Intersections — pointing (box → line) and
+                       box/line reduction (line → box)
+    4. Subsets       — naked / hidden pairs, triples, quads
+       and fish        X-Wing, Swordfish, Jellyfish (plain,
+                       finned, sashimi), interleaved by rating
+       and wings       XY-Wing, XYZ-Wing, W-Wing
+    5. Chains        — Simple Coloring, X-Chain, AIC
+                       (shortest chain first)
+       and uniqueness  Unique Rectangles 1–4, BUG+1 — only
+                       with opts.unique, slotted in by rating
+    6. Fallback      — shows solution when advanced needed
+
+  CANDIDATE GRID
+    Techniques read cg[r][c] — a bitmask of the digits still
+    open in a cell (bit d-1 for digit d; 0 when filled). It
+    starts as Engine.candidates() and loses digits to
+    elimination steps, so each step builds on what earlier
+    ones proved.
 
   PUBLIC API
-    Hints.findMove(board, solution) → hint | null
+    Hints.findMove(board, solution, opts?) → hint | null
+    Hints.grade(board, opts?)              → { solved, techniques, hardest, rating }
+      opts.unique — the puzzle is known to have one solution,
+                    which turns on the uniqueness techniques
+      opts.notes  — findMove only: work from the player's notes
+                    (cells without notes use every candidate)
+    Hints.walk(board, solution, opts?)     → [step, ...] the whole logical solve
+                                             to the end, each step a hint with the
+                                             board and cands (Sets) it starts from
+    Hints.techniques()                     → [{ name, rating }, ...] easiest first
+    Hints.checkNotes(board, notes, solution)
+                                           → [{ row, col, kind, digits, explain }, ...]
+      kind 'missing' — the notes leave out the cell's digit
+      kind 'stale'   — digits a placed peer or the cage rules out
+    Hints.refute(board, r, c, digit, opts?)
+                                           → { row, col, value, steps, explain } | null
+      why digit cannot go at (r,c): supposing it, steps lead to
+      a contradiction; each step is { text, row, col, value,
+      highlight }. null when the tutor's techniques stall.
+
+  RATINGS
+    Each technique carries a Sudoku-Explainer-style rating.
+    A puzzle's rating is the rating of the hardest technique
+    a logical solve needs; Engine.generate() grades with it.
+
+  HINT OBJECT
+    Placements carry { row, col, value }. Elimination steps
+    carry eliminations: [[r, c, digit], ...] instead. When a
+    placement only appears after eliminations, findMove()
+    returns it with the eliminations that unlock it, their
+    explanations first, and every step in hint.steps.
+    findMove() hints also carry nudge (technique and area,
+    e.g. "There's a Hidden Single in box 5.") and focus (the
+    digit to look for), for revealing a hint in levels.
 
   HIGHLIGHT OBJECT (added to every hint)
     hint.highlight = {
-      target : [r, c]          — the cell to place the digit (gold pulse)
-      peers  : [[r,c], ...]    — cells that eliminate candidates (blue tint)
-      unit   : [[r,c], ...]    — all cells in the relevant unit (light tint)
+      target  : [r, c] | null  — the cell to place the digit (gold pulse)
+      peers   : [[r,c], ...]   — cells that eliminate candidates (blue tint)
+      unit    : [[r,c], ...]   — all cells in the relevant unit (light tint)
+      pattern?: [[r,c], ...]   — cells forming the pattern, e.g. a pair
+      elim?   : [[r,c], ...]   — cells losing candidates
+      cands?  : [[r,c,d,kind], ...] — single candidates to mark in
+                                 the note grid; kind is 'pattern'
+                                 or 'elim' (the digit is removed)
     }
   ═══════════════════════════════════════════════════
 */
 const Hints = (function () {
 
   const gc  = Engine.candidates;
-  const box = Engine.boxOrigin;
+  const t   = I18n.t;
 
-  /* Format a Set/array as sorted comma list */
-  const fmt  = s => [...s].sort((a,b)=>a-b).join(', ');
+  /* Format a Set/array as sorted comma list, in board glyphs */
+  const fmt  = s => [...s].sort((a,b)=>a-b).map(Engine.glyph).join(', ');
+  const g    = v => Engine.glyph(v);
   const cell = (r,c) => `R${r+1}C${c+1}`;
   const lines = (...args) => args.join('\n');
+  const cap  = s => s[0].toUpperCase() + s.slice(1);
+  const label = I18n.unit;
+  const kind  = u => t(u.name.toLowerCase());   /* "row", "region"… in a sentence */
 
-  /* ── HELPER: build peer lists for a cell ─────── */
-  function buildPeers(r, c) {
-    const br = box(r), bc = box(c);
-    const row = [], col = [], bx = [];
-    for (let i = 0; i < 9; i++) {
-      if (i !== c) row.push([r, i]);
-      if (i !== r) col.push([i, c]);
-    }
-    for (let dr = 0; dr < 3; dr++)
-      for (let dc = 0; dc < 3; dc++)
-        if (!(br+dr === r && bc+dc === c)) bx.push([br+dr, bc+dc]);
-    return { row, col, box: bx };
-  }
-
-  /* ── HELPER: all cells in a unit ─────────────── */
-  function unitCells(type, idx) {
-    const cells = [];
-    if (type === 'row') {
-      for (let c = 0; c < 9; c++) cells.push([idx, c]);
-    } else if (type === 'col') {
-      for (let r = 0; r < 9; r++) cells.push([r, idx]);
-    } else {
-      const br = ((idx / 3) | 0) * 3, bc = (idx % 3) * 3;
-      for (let dr = 0; dr < 3; dr++)
-        for (let dc = 0; dc < 3; dc++)
-          cells.push([br+dr, bc+dc]);
+  /* Unit words for a cell, e.g. "row, col and box" — follows the variant */
+  function unitWords(r, c) {
+    const names = [...new Set(Engine.unitsOf(r, c).map(kind))];
+    if (Engine.cageOf(r, c)) names.push(t('cage'));
+    return I18n.list(names);
+  }
+
+  /* ── Candidate grid ──────────────────────────── */
+  const bit      = d => 1 << (d - 1);
+  const bits     = m => { let n = 0; for (; m; m &= m - 1) n++; return n; };
+  const maskOf   = set => { let m = 0; for (const d of set) m |= bit(d); return m; };
+  const digitsIn = m => { const out = []; for (let d = 1; m; d++, m >>= 1) if (m & 1) out.push(d); return out; };
+
+  function candidateGrid(board) {
+    return board.map((row, r) => row.map((v, c) => v ? 0 : maskOf(gc(board, r, c))));
+  }
+
+  /* The player's notes where a cell has any, less what the
+     board already rules out; unnoted cells get every candidate */
+  function notedGrid(board, notes) {
+    return candidateGrid(board).map((row, r) => row.map((m, c) =>
+      m && notes[r][c].size ? m & maskOf(notes[r][c]) : m));
+  }
+
+  /* After placing at (r,c): only its peers (cage-mates
+     included) can lose digits. Earlier eliminations stay. */
+  function refresh(board, cg, r, c) {
+    cg[r][c] = 0;
+    for (const [pr, pc] of Engine.peers(r, c))
+      if (cg[pr][pc]) cg[pr][pc] &= maskOf(gc(board, pr, pc));
+  }
+
+  function eliminate(cg, eliminations) {
+    for (const [r, c, d] of eliminations) cg[r][c] &= ~bit(d);
+  }
+
+  /* "  R3C8: 4, 7" — one line per cell losing candidates */
+  function elimLines(eliminations) {
+    const by = new Map();
+    for (const [r, c, d] of eliminations) {
+      const k = cell(r, c);
+      if (!by.has(k)) by.set(k, []);
+      by.get(k).push(d);
     }
-    return cells;
+    return [...by].map(([k, ds]) => `  ${k}: ${fmt(ds)}`);
   }
 
+  /* Distinct cells of an elimination list */
+  const elimCells = eliminations =>
+    [...new Map(eliminations.map(([r, c]) => [r*64 + c, [r, c]])).values()];
+
+  /* Candidate marks: the pattern's own digits, then the removed ones */
+  const marks = (pattern, eliminations) => [
+    ...pattern.map(([r, c, d]) => [r, c, d, 'pattern']),
+    ...eliminations.map(([r, c, d]) => [r, c, d, 'elim'])
+  ];
+
   /* ── NAKED SINGLE ─────────────────────────────── */
-  function findNakedSingle(board) {
-    for (let r = 0; r < 9; r++) {
-      for (let c = 0; c < 9; c++) {
-        const cands = gc(board, r, c);
-        if (cands.size !== 1) continue;
-
-        const val = [...cands][0];
-        const rowN = new Set(), colN = new Set(), boxN = new Set();
-        const br = box(r), bc = box(c);
-
-        for (let i = 0; i < 9; i++) {
-          if (board[r][i] && i !== c) rowN.add(board[r][i]);
-          if (board[i][c] && i !== r) colN.add(board[i][c]);
+  function findNakedSingle(board, cg = candidateGrid(board)) {
+    const size = board.length;
+    for (let r = 0; r < size; r++) {
+      for (let c = 0; c < size; c++) {
+        if (bits(cg[r][c]) !== 1) continue;
+
+        const val = digitsIn(cg[r][c])[0];
+        const seenBy = Engine.unitsOf(r, c).map(u => {
+          const digits = new Set(u.cells.map(([pr,pc]) => board[pr][pc]).filter(Boolean));
+          return `${cap(label(u))}: ${fmt(digits) || '—'}`;
+        });
+        const cage = Engine.cageOf(r, c);
+        if (cage) {
+          const digits = cage.cells.map(([pr,pc]) => board[pr][pc]).filter(Boolean);
+          seenBy.push(t('Cage of {n} summing to {sum}: {digits}', { n: cage.cells.length, sum: cage.sum, digits: fmt(digits) || '—' }));
         }
-        for (let dr = 0; dr < 3; dr++)
-          for (let dc = 0; dc < 3; dc++) {
-            const v = board[br+dr][bc+dc];
-            if (v && !(br+dr===r && bc+dc===c)) boxN.add(v);
-          }
+
+        /* Digits only earlier eliminations (or the player's notes) took away */
+        const gone = [...gc(board, r, c)].filter(d => d !== val);
+        if (gone.length) seenBy.push(t('Already ruled out: {digits}', { digits: fmt(gone) }));
 
         /* Build highlight — peers that have digits blocking this cell */
-        const peers = buildPeers(r, c);
-        const blocking = [
-          ...peers.row.filter(([pr,pc]) => board[pr][pc]),
-          ...peers.col.filter(([pr,pc]) => board[pr][pc]),
-          ...peers.box.filter(([pr,pc]) => board[pr][pc])
-        ];
-        /* Deduplicate */
-        const seen = new Set();
-        const blockUniq = blocking.filter(([pr,pc]) => {
-          const k = pr*9+pc; if (seen.has(k)) return false; seen.add(k); return true;
-        });
+        const peers = Engine.peers(r, c);
 
         return {
           technique: 'Naked Single', row: r, col: c, value: val,
           explain: lines(
-            `${cell(r,c)} has only ONE valid candidate.`,
+            t('{cell} has only ONE valid candidate.', { cell: cell(r,c) }),
             ``,
-            `Row ${r+1}: ${fmt(rowN) || '—'}`,
-            `Col ${c+1}: ${fmt(colN) || '—'}`,
-            `Box:       ${fmt(boxN) || '—'}`,
+            ...seenBy,
             ``,
-            `Together they eliminate every digit except ${val}.`,
-            `→ Place ${val} here.`
+            t('Together they eliminate every digit except {d}.', { d: g(val) }),
+            t('→ Place {d} here.', { d: g(val) })
           ),
-          lesson: 'Naked Single: when row, column, and box eliminate 8 digits, only one candidate remains.',
+          lesson: t('Naked Single: when the {units} eliminate {n} digits, only one candidate remains.',
+                    { units: unitWords(r,c), n: size-1 }),
           highlight: {
             target : [r, c],
-            peers  : blockUniq,
-            unit   : [...peers.row, ...peers.col, ...peers.box]
+            peers  : peers.filter(([pr,pc]) => board[pr][pc]),
+            unit   : peers
           }
         };
       }
@@ -121,41 +201,37 @@ const Hints = (function () {
   }
 
   /* ── HIDDEN SINGLE ────────────────────────────── */
-  function findHiddenSingle(board) {
-    const units = [
-      ...Array.from({length:9}, (_,i) => ({type:'row', idx:i, label:`row ${i+1}`})),
-      ...Array.from({length:9}, (_,i) => ({type:'col', idx:i, label:`col ${i+1}`})),
-      ...Array.from({length:9}, (_,i) => ({type:'box', idx:i, label:`box ${i+1}`}))
-    ];
+  function findHiddenSingle(board, cands = candidateGrid(board), types = ['row','col','box','diag']) {
+    const size  = board.length;
+    const units = Engine.layout().units.filter(u => types.includes(u.type));
 
     for (const unit of units) {
-      const cells = unitCells(unit.type, unit.idx);
+      const cells = unit.cells;
 
-      for (let n = 1; n <= 9; n++) {
+      for (let n = 1; n <= size; n++) {
         if (cells.some(([r,c]) => board[r][c] === n)) continue;
 
-        const fits = cells.filter(([r,c]) => gc(board,r,c).has(n));
+        const fits = cells.filter(([r,c]) => cands[r][c] & bit(n));
         if (fits.length !== 1) continue;
 
         const [r, c] = fits[0];
-        const others = fmt(gc(board,r,c));
+        const others = fmt(digitsIn(cands[r][c]));
 
         /* Cells in this unit that block n (already have a digit) */
         const blockers = cells.filter(([pr,pc]) => board[pr][pc] && !(pr===r && pc===c));
 
         return {
-          technique: `Hidden Single (${unit.type[0].toUpperCase()+unit.type.slice(1)})`,
+          technique: `Hidden Single (${unit.name})`,
           row: r, col: c, value: n,
           explain: lines(
-            `Where can ${n} go in ${unit.label}?`,
+            t('Where can {d} go in {unit}?', { d: g(n), unit: label(unit) }),
             ``,
-            `Scan each empty cell — ${n} is blocked from every cell`,
-            `except ${cell(r,c)}.`,
+            t('Scan each empty cell — {d} is blocked from every cell\nexcept {cell}.', { d: g(n), cell: cell(r,c) }),
             ``,
-            `Other candidates at ${cell(r,c)}: ${others || 'none'}`,
-            `But ${n} can ONLY go here → place it.`
+            t('Other candidates at {cell}: {digits}', { cell: cell(r,c), digits: others || t('none') }),
+            t('But {d} can ONLY go here → place it.', { d: g(n) })
           ),
-          lesson: `Hidden Single: if a digit fits in only one cell within a ${unit.type}, it must go there.`,
+          lesson: t('Hidden Single: if a digit fits in only one cell within a {unit}, it must go there.', { unit: kind(unit) }),
           highlight: {
             target  : [r, c],
             peers   : blockers,
@@ -167,41 +243,1277 @@ const Hints = (function () {
     return null;
   }
 
+  /* ── INTERSECTIONS ───────────────────────────────
+     A box and a line (row or column) that cross share
+     a few cells. Pointing: a digit's spots in the box all
+     lie on the line, so the line's copy is inside the box
+     and the rest of the line loses it. Box/Line Reduction
+     (claiming) is the same the other way round.
+  ─────────────────────────────────────────────────── */
+  /* Box number of every cell index, for the active layout */
+  function boxIndex(size) {
+    const box = new Int16Array(size * size);
+    for (const u of Engine.layout().units) if (u.type === 'box') for (const i of u.ids) box[i] = u.idx;
+    return box;
+  }
+
+  function findIntersection(board, cg, pointing) {
+    const size  = board.length;
+    const units = Engine.layout().units;
+    const box   = boxIndex(size);
+    const of    = type => units.filter(u => u.type === type);
+    const rows = of('row'), cols = of('col'), boxes = of('box');
+    for (const a of pointing ? boxes : [...rows, ...cols])
+      for (let d = 1; d <= size; d++) {
+        const spots = a.cells.filter(([r,c]) => cg[r][c] & bit(d));
+        if (spots.length < 2) continue;
+        const [r0, c0] = spots[0];
+        const targets = pointing
+          ? [spots.every(([r]) => r === r0) && rows[r0], spots.every(([, c]) => c === c0) && cols[c0]]
+          : [spots.every(([r, c]) => box[r*size + c] === box[r0*size + c0]) && boxes[box[r0*size + c0]]];
+        for (const b of targets) {
+          if (!b) continue;
+          const inA = pointing ? (r, c) => box[r*size + c] === a.idx
+                               : (r, c) => (a.type === 'row' ? r : c) === a.idx;
+          const eliminations = b.cells
+            .filter(([r,c]) => !inA(r, c) && cg[r][c] & bit(d))
+            .map(([r,c]) => [r, c, d]);
+          if (eliminations.length) return intersectionStep(pointing, a, b, d, spots, eliminations);
+        }
+      }
+    return null;
+  }
+
+  /* a = the unit the spots were found in, b = the unit losing d */
+  function intersectionStep(pointing, a, b, d, spots, eliminations) {
+    const technique = pointing ? (SUBSET[spots.length] ? `Pointing ${SUBSET[spots.length]}` : 'Pointing')
+                               : 'Box/Line Reduction';
+    return {
+      technique, eliminations,
+      explain: lines(
+        t(pointing ? 'In {a}, every spot for {d} lies in {b}:' : 'In {a}, every spot for {d} lies inside {b}:',
+          { a: label(a), b: label(b), d: g(d) }),
+        `${and(spots.map(([r, c]) => cell(r, c)))}.`,
+        ``,
+        t(pointing
+          ? 'Whichever of them gets the {d}, the {d} of {b} is inside {a},\nso no other cell in {b} can hold {d}.'
+          : 'The {d} of {a} must be one of them, and they all belong to {b} —\nso no other cell in {b} can hold {d}.',
+          { a: label(a), b: label(b), d: g(d) }),
+        ``,
+        t('Remove:'),
+        ...elimLines(eliminations)
+      ),
+      lesson: pointing
+        ? t("{technique}: when a digit's spots in a box all lie on one row or column, remove it from the rest of that line.", { technique })
+        : t("Box/Line Reduction: when a digit's spots in a row or column all lie inside one box, remove it from the rest of that box."),
+      highlight: {
+        target  : null,
+        peers   : [],
+        unit    : [...a.cells, ...b.cells],
+        pattern : spots,
+        elim    : elimCells(eliminations),
+        cands   : marks(spots.map(([r, c]) => [r, c, d]), eliminations)
+      }
+    };
+  }
+
+  /* ── SUBSETS ─────────────────────────────────────
+     Naked: k cells of a unit whose candidates together
+     are just k digits. Those digits must fill those
+     cells, so the rest of the unit loses them.
+     Hidden: k digits of a unit that fit only in the same
+     k cells. Those cells must hold them, so every other
+     candidate in the k cells goes.
+  ─────────────────────────────────────────────────── */
+  const SUBSET = { 2: 'Pair', 3: 'Triple', 4: 'Quad' };
+  const COUNT  = { 2: 'two', 3: 'three', 4: 'four' };
+  const count  = k => t(COUNT[k]);
+  const and    = items => I18n.list(items);
+
+  /* Pick k of the masks whose union has k bits (up to
+     k + spare), pruning as soon as a partial union grows
+     past that. visit(picks, union) returns a step to stop
+     the search. */
+  function subsets(masks, k, visit, spare = 0, start = 0, picks = [], union = 0) {
+    if (picks.length === k) return bits(union) >= k ? visit(picks, union) : null;
+    for (let i = start; i <= masks.length - (k - picks.length); i++) {
+      const u = union | masks[i];
+      if (bits(u) > k + spare) continue;
+      picks.push(i);
+      const found = subsets(masks, k, visit, spare, i + 1, picks, u);
+      picks.pop();
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /* held = [r, c, d] of the subset's digits in its cells */
+  function subsetStep(type, k, unit, cells, digits, held, eliminations) {
+    const technique = `${type} ${SUBSET[k]}`, naked = type === 'Naked';
+    const where = and(cells.map(([r, c]) => cell(r, c)));
+    const ds    = and([...digits].sort((a, b) => a - b).map(g));
+    return {
+      technique, eliminations,
+      explain: lines(
+        t(naked
+          ? 'Look at {cells} in {unit}.\nBetween them they can only hold {digits}.\n\n{K} cells, {k} digits — {digits} must fill these cells,\nso no other cell in {unit} can hold them.'
+          : 'In {unit}, the digits {digits} fit only in\n{cells}.\n\n{K} digits, {k} cells — these cells must hold {digits},\nso every other candidate in them can go.',
+          { cells: where, unit: label(unit), digits: ds, k: count(k), K: cap(count(k)) }),
+        ``,
+        t('Remove:'),
+        ...elimLines(eliminations)
+      ),
+      lesson: naked
+        ? t('{technique}: when {k} cells in a unit share only {k} candidates between them, those digits are locked there — remove them from the rest of the unit.', { technique, k })
+        : t('{technique}: when {k} digits in a unit fit only in the same {k} cells, those cells hold nothing else — remove their other candidates.', { technique, k }),
+      highlight: {
+        target  : null,
+        peers   : [],
+        unit    : unit.cells,
+        pattern : cells,
+        elim    : elimCells(eliminations),
+        cands   : marks(held, eliminations)
+      }
+    };
+  }
+
+  function findNakedSubset(board, cg, k) {
+    for (const unit of Engine.layout().units) {
+      const open = unit.cells.filter(([r,c]) => cg[r][c]);
+      if (open.length <= k) continue;
+      const small = open.filter(([r,c]) => bits(cg[r][c]) <= k);
+      const step = subsets(small.map(([r,c]) => cg[r][c]), k, (picks, union) => {
+        const set = picks.map(i => small[i]);
+        const eliminations = [];
+        for (const rc of open) {
+          if (set.includes(rc)) continue;
+          const [r, c] = rc;
+          for (const d of digitsIn(cg[r][c] & union)) eliminations.push([r, c, d]);
+        }
+        const held = set.flatMap(([r, c]) => digitsIn(cg[r][c]).map(d => [r, c, d]));
+        return eliminations.length && subsetStep('Naked', k, unit, set, digitsIn(union), held, eliminations);
+      });
+      if (step) return step;
+    }
+    return null;
+  }
+
+  function findHiddenSubset(board, cg, k) {
+    const size = board.length;
+    for (const unit of Engine.layout().units) {
+      const open = unit.cells.filter(([r,c]) => cg[r][c]);
+      if (open.length <= k) continue;
+      /* Digits with at most k spots left; mask bit i = open[i] */
+      const digits = [], spots = [];
+      for (let d = 1; d <= size; d++) {
+        let m = 0;
+        open.forEach(([r,c], i) => { if (cg[r][c] & bit(d)) m |= 1 << i; });
+        if (m && bits(m) <= k) { digits.push(d); spots.push(m); }
+      }
+      const step = subsets(spots, k, (picks, union) => {
+        const ds = picks.map(i => digits[i]);
+        const cells = open.filter((_, i) => union & 1 << i);
+        const eliminations = [];
+        for (const [r,c] of cells)
+          for (const d of digitsIn(cg[r][c] & ~maskOf(ds))) eliminations.push([r, c, d]);
+        const held = cells.flatMap(([r, c]) => digitsIn(cg[r][c] & maskOf(ds)).map(d => [r, c, d]));
+        return eliminations.length && subsetStep('Hidden', k, unit, cells, ds, held, eliminations);
+      });
+      if (step) return step;
+    }
+    return null;
+  }
+
+  /* ── FISH ────────────────────────────────────────
+     Take k rows (the base) in which a digit's spots all
+     fall in the same k columns (the cover). Each base row
+     needs its own copy in a different cover column, so
+     the base uses up the cover and every other cell of
+     the cover columns loses the digit. Swap rows and
+     columns for the column-based fish.
+     Finned: a few extra spots (fins) sit outside the
+     cover, all in one box. Either the fish holds or a fin
+     is true, so only cover cells in the fins' box lose the
+     digit. Sashimi: a finned fish with a base line that
+     has a single spot left in the cover.
+  ─────────────────────────────────────────────────── */
+  const FISH = { 2: 'X-Wing', 3: 'Swordfish', 4: 'Jellyfish' };
+  const FINS = 2;   /* extra cover positions a finned fish may spill into */
+
+  function findFish(board, cg, k, finned) {
+    const size = board.length;
+    const boxOf = (r, c) => Engine.unitsOf(r, c).find(u => u.type === 'box').idx;
+    for (const base of ['row', 'col']) {
+      const at = (line, x) => base === 'row' ? [line, x] : [x, line];
+      for (let d = 1; d <= size; d++) {
+        const b = bit(d);
+        /* line[i] bit x: line i can hold d at position x */
+        const line = [];
+        for (let i = 0; i < size; i++) {
+          let m = 0;
+          for (let x = 0; x < size; x++) { const [r, c] = at(i, x); if (cg[r][c] & b) m |= 1 << x; }
+          line.push(m);
+        }
+        const owner = line.map((_, i) => i)
+          .filter(i => bits(line[i]) >= 2 && bits(line[i]) <= k + (finned ? FINS : 0));
+        const has = (i, x) => line[i] & 1 << x;
+        const step = subsets(owner.map(i => line[i]), k, (picks, union) => {
+          const baseLines = picks.map(i => owner[i]);
+          const fish = cover => {
+            if (baseLines.some(i => !(line[i] & cover))) return null;
+            const fins = [];
+            for (const i of baseLines)
+              for (const x of digitsIn(line[i] & ~cover)) fins.push(at(i, x - 1));
+            if (finned !== !!fins.length) return null;
+            const finBox = fins.length ? boxOf(...fins[0]) : -1;
+            if (fins.some(([r, c]) => boxOf(r, c) !== finBox)) return null;
+            const eliminations = [];
+            for (let j = 0; j < size; j++) {
+              if (baseLines.includes(j)) continue;
+              for (const x of digitsIn(line[j] & cover)) {
+                const [r, c] = at(j, x - 1);
+                if (!fins.length || boxOf(r, c) === finBox) eliminations.push([r, c, d]);
+              }
+            }
+            if (!eliminations.length) return null;
+            const sashimi = baseLines.some(i => bits(line[i] & cover) < 2);
+            return fishStep(k, base, d, baseLines, cover, fins, sashimi, at, has, eliminations);
+          };
+          if (!finned) return fish(union);
+          if (bits(union) === k) return null;
+          /* Try every k of the union's positions as the cover */
+          const spots = digitsIn(union).map(x => 1 << (x - 1));
+          return subsets(spots, k, (_, cover) => fish(cover));
+        }, finned ? FINS : 0);
+        if (step) return step;
+      }
+    }
+    return null;
+  }
+
+  function fishStep(k, base, d, baseLines, cover, fins, sashimi, at, has, eliminations) {
+    const technique = (fins.length ? (sashimi ? 'Sashimi ' : 'Finned ') : '') + FISH[k];
+    const size   = Engine.layout().size;
+    const other  = base === 'row' ? 'col' : 'row';
+    const coverX = digitsIn(cover).map(x => x - 1);
+    const lines_ = kind => kind === 'row' ? t('rows') : t('cols');
+    const bases  = t(base === 'row' ? 'rows {list}' : 'cols {list}', { list: and(baseLines.map(i => i + 1)) });
+    const covers = t(other === 'row' ? 'rows {list}' : 'cols {list}', { list: and(coverX.map(x => x + 1)) });
+    const p = { d: g(d), bases, covers, line: t(base), other: t(other), lines: lines_(base), others: lines_(other),
+                k: count(k), fish: FISH[k], technique };
+    const finBox = fins.length && Engine.unitsOf(...fins[0]).find(u => u.type === 'box');
+    const spotsOf = i => [...Array(size).keys()].filter(x => has(i, x)).map(x => at(i, x));
+    const pattern = baseLines.flatMap(spotsOf);
+    const lineCells = (kind, i) => [...Array(size).keys()].map(x => kind === base ? at(i, x) : at(x, i));
+    return {
+      technique, eliminations,
+      explain: lines(
+        t('Look at {d} in {bases} (the base).', p),
+        t('In each of them, {d} fits only in {covers} (the cover)', p) +
+          (fins.length ? ',\n' + t(['apart from the fin {fins} in {box}:', 'apart from the fins {fins} in {box}:'],
+                                    { n: fins.length, fins: and(fins.map(([r, c]) => cell(r, c))), box: label(finBox) }) : ':'),
+        ...baseLines.map(i => `  ${cap(t(base === 'row' ? 'row {n}' : 'col {n}', { n: i + 1 }))}: ${spotsOf(i).map(([r, c]) => cell(r, c)).join(', ')}`),
+        ``,
+        t('Each base {line} needs its own {d} in a different cover {other},\nso the {k} {lines} use up the {d} of {covers}.', p),
+        ...(fins.length
+          ? [t('Either that holds, or a fin is the {d} — both ways, a cover\ncell in {box} cannot hold {d}.', { ...p, box: label(finBox) }),
+             ...(sashimi ? [t('(Sashimi: without the fins a base {line} keeps only one cover spot.)', p)] : [])]
+          : [t('No other cell in {covers} can hold {d}.', p)]),
+        ``,
+        t('Remove:'),
+        ...elimLines(eliminations)
+      ),
+      lesson: fins.length
+        ? t('{technique}: a {fish} with extra spots in one box — only cover cells in that box, which see every fin, lose the digit.', p)
+        : t("{fish}: when a digit's spots in {k} {lines} all fall in the same {k} {others}, remove it from the rest of those {others}.", { ...p, k }),
+      highlight: {
+        target  : null,
+        peers   : [],
+        unit    : [...baseLines.flatMap(i => lineCells(base, i)), ...coverX.flatMap(x => lineCells(other, x))],
+        pattern,
+        elim    : elimCells(eliminations),
+        cands   : marks(pattern.map(([r, c]) => [r, c, d]), eliminations)
+      }
+    };
+  }
+
+  /* ── WINGS ───────────────────────────────────────
+     Bivalue cells (two candidates) that force a digit z
+     into one of a few cells; whatever sees all of them
+     loses z. XY-Wing: pivot {x,y} sees pincers {x,z} and
+     {y,z}. XYZ-Wing: pivot {x,y,z}, so the pivot joins
+     the pincers. W-Wing: two {x,y} cells joined by a unit
+     where x fits only twice, one spot seeing each; one
+     of the two must be y.
+  ─────────────────────────────────────────────────── */
+  const or = items => I18n.list(items, 'or');
+
+  /* Per cell id, the Set of ids it sees — rebuilt when the layout changes */
+  let seenFor = null, seen = null;
+  function seenSets() {
+    const layout = Engine.layout();
+    if (seenFor !== layout) { seenFor = layout; seen = layout.peers.map(p => new Set(p)); }
+    return seen;
+  }
+
+  /* Open cells outside ids that see every one of them */
+  function seeAll(m, ids) {
+    const S = seenSets();
+    return [...S[ids[0]]].filter(j => m[j] && !ids.includes(j) && ids.every(i => S[i].has(j))).sort((a, b) => a - b);
+  }
+
+  function findXYWing(board, cg, xyz) {
+    const size = board.length, S = seenSets(), m = cg.flat();
+    for (let p = 0; p < m.length; p++) {
+      if (bits(m[p]) !== (xyz ? 3 : 2)) continue;
+      /* XY pincers share one digit with the pivot; XYZ pincers lie inside it */
+      const wings = [...S[p]].filter(j => bits(m[j]) === 2 && bits(m[j] & m[p]) === (xyz ? 2 : 1));
+      for (let i = 0; i < wings.length; i++)
+        for (let k = i + 1; k < wings.length; k++) {
+          const a = wings[i], b = wings[k], z = m[a] & m[b];
+          if (bits(z) !== 1 || (!xyz && z & m[p])) continue;
+          const see = seeAll(m, xyz ? [p, a, b] : [a, b]).filter(j => j !== p);
+          const eliminations = see.filter(j => m[j] & z)
+            .map(j => [Math.floor(j / size), j % size, digitsIn(z)[0]]);
+          if (eliminations.length)
+            return wingStep(xyz ? 'XYZ-Wing' : 'XY-Wing', [p, a, b], null, see, m, size, eliminations);
+        }
+    }
+    return null;
+  }
+
+  function findWWing(board, cg) {
+    const size = board.length, S = seenSets(), m = cg.flat();
+    const units = Engine.layout().units;
+    const pairs = m.map((_, i) => i).filter(i => bits(m[i]) === 2);
+    for (let i = 0; i < pairs.length; i++)
+      for (let k = i + 1; k < pairs.length; k++) {
+        const a = pairs[i], b = pairs[k];
+        if (m[a] !== m[b] || S[a].has(b)) continue;
+        const see = seeAll(m, [a, b]);
+        for (const x of digitsIn(m[a])) {
+          const y = m[a] & ~bit(x);
+          const eliminations = see.filter(j => m[j] & y)
+            .map(j => [Math.floor(j / size), j % size, digitsIn(y)[0]]);
+          if (!eliminations.length) continue;
+          for (const u of units) {
+            const spots = u.ids.filter(j => m[j] & bit(x));
+            if (spots.length !== 2 || spots.includes(a) || spots.includes(b)) continue;
+            const [c, d] = S[a].has(spots[0]) && S[b].has(spots[1]) ? spots
+                         : S[a].has(spots[1]) && S[b].has(spots[0]) ? [spots[1], spots[0]] : [];
+            if (c !== undefined) return wingStep('W-Wing', [a, b], { unit: u, x, c, d }, see, m, size, eliminations);
+          }
+        }
+      }
+    return null;
+  }
+
+  /* ids = [pivot, pincer, pincer] for XY/XYZ, [a, b] for W;
+     link = the W-Wing's unit and its two spots for x */
+  function wingStep(technique, ids, link, see, m, size, eliminations) {
+    const at    = j => [Math.floor(j / size), j % size];
+    const name  = j => cell(...at(j));
+    const opts  = j => or(digitsIn(m[j]).map(g));
+    const z     = eliminations[0][2];
+    const pivotDigit = (p, w) => g(digitsIn(m[p] & m[w] & ~bit(z))[0]);
+    const seeLine = see.length ? `${and(see.map(name))}.` : '';
+    let explain, lesson;
+    if (link) {
+      const [a, b] = ids, { unit, x, c, d } = link;
+      const p = { a: name(a), b: name(b), c: name(c), d: name(d), opts: opts(a), unit: label(unit), x: g(x), z: g(z) };
+      explain = [
+        t('{a} and {b} can each only be {opts}.', p),
+        t('In {unit}, {x} fits only {c} and {d};', p),
+        t('{c} sees {a} and {d} sees {b}.', p),
+        ``,
+        t('If both cells were {x}, neither {c} nor {d} could be {x},\nleaving {unit} without a {x}. So at least one of them is {z}.', p),
+        ``,
+        t('Cells that see both: {cells}', { cells: seeLine }),
+        t('None of them can be {z}.', p)
+      ];
+      lesson = t('W-Wing: two matching bivalue cells joined by a digit that fits only twice in a unit — cells seeing both lose their other digit.');
+    } else {
+      const [p, a, b] = ids, xyz = technique === 'XYZ-Wing';
+      const z_ = g(z);
+      explain = [
+        t('The pivot {cell} can only be {opts}.', { cell: name(p), opts: opts(p) }),
+        t('It sees two pincers:'),
+        `  ${name(a)}: ${opts(a)}`,
+        `  ${name(b)}: ${opts(b)}`,
+        ``,
+        t('If the pivot is {d}, {cell} must be {z}.', { d: pivotDigit(p, a), cell: name(a), z: z_ }),
+        t('If the pivot is {d}, {cell} must be {z}.', { d: pivotDigit(p, b), cell: name(b), z: z_ }),
+        ...(xyz ? [t('Otherwise the pivot is {z} itself.', { z: z_ }), t('One of the three cells is {z}.', { z: z_ })]
+                : [t('Either way one of the pincers is {z}.', { z: z_ })]),
+        ``,
+        xyz ? t('Cells that see the pivot and both pincers: {cells}', { cells: seeLine })
+            : t('Cells that see both pincers: {cells}', { cells: seeLine }),
+        t('None of them can be {z}.', { z: z_ })
+      ];
+      lesson = xyz
+        ? t('XYZ-Wing: a three-candidate pivot and two pincers inside it share one digit — cells seeing all three lose it.')
+        : t('XY-Wing: a two-candidate pivot sees two pincers that share a third digit — cells seeing both pincers lose it.');
+    }
+    return {
+      technique, eliminations,
+      explain: lines(...explain, ``, t('Remove:'), ...elimLines(eliminations)),
+      lesson,
+      highlight: {
+        target  : null,
+        peers   : [],
+        unit    : see.map(at),
+        pattern : [...ids, ...(link ? [link.c, link.d] : [])].map(at),
+        elim    : elimCells(eliminations),
+        cands   : marks([
+          ...ids.flatMap(j => digitsIn(m[j]).map(d => [...at(j), d])),
+          ...(link ? [[...at(link.c), link.x], [...at(link.d), link.x]] : [])
+        ], eliminations)
+      }
+    };
+  }
+
+  /* ── COLORING AND CHAINS ──────────────────────────
+     A node is "cell holds digit". A strong link says
+     one of two nodes is true: a digit with two spots in
+     a unit (conjugate pair), or the two digits of a
+     bivalue cell. A weak link says they cannot both be:
+     same digit in cells that see each other, or two
+     digits in one cell.
+     Simple Coloring: two-color the conjugate pairs of a
+     digit; one color holds it. X-Chain: one digit,
+     strong and weak links alternating, strong at both
+     ends, so one end holds it. AIC: the same across
+     digits. Chains are searched breadth-first, so the
+     shortest one is shown.
+  ─────────────────────────────────────────────────── */
+  const CHAIN_MAX = 12;   /* nodes; longer chains teach little */
+
+  /* Conjugate pairs of digit d: cell id → [[other id, unit]] */
+  function conjugates(m, d) {
+    const links = new Map();
+    const add = (a, b, u) => {
+      if (!links.has(a)) links.set(a, []);
+      if (!links.get(a).some(([o]) => o === b)) links.get(a).push([b, u]);
+    };
+    for (const u of Engine.layout().units) {
+      const spots = u.ids.filter(j => m[j] & bit(d));
+      if (spots.length === 2) { add(spots[0], spots[1], u); add(spots[1], spots[0], u); }
+    }
+    return links;
+  }
+
+  function findColoring(board, cg) {
+    const size = board.length, S = seenSets(), m = cg.flat();
+    const at = j => [Math.floor(j / size), j % size];
+    for (let d = 1; d <= size; d++) {
+      const links = conjugates(m, d), color = new Map();
+      for (const start of [...links.keys()].sort((a, b) => a - b)) {
+        if (color.has(start)) continue;
+        const comp = [start], tree = [];
+        color.set(start, 0);
+        for (let q = 0; q < comp.length; q++)
+          for (const [o, u] of links.get(comp[q])) {
+            if (color.has(o)) continue;
+            color.set(o, 1 - color.get(comp[q]));
+            tree.push([comp[q], o, u]);
+            comp.push(o);
+          }
+        if (comp.length < 3) continue;   /* a lone pair is an intersection at most */
+        for (const c of [0, 1]) {
+          const same = comp.filter(j => color.get(j) === c);
+          const clash = same.flatMap(a => same.filter(b => b > a && S[a].has(b)).map(b => [a, b]))[0];
+          if (clash)
+            return coloringStep(d, comp, color, tree, at, { clash, c },
+              same.map(j => [...at(j), d]));
+        }
+        const trap = m.map((_, j) => j).filter(j => m[j] & bit(d) && !color.has(j) &&
+          comp.some(a => color.get(a) === 0 && S[j].has(a)) &&
+          comp.some(b => color.get(b) === 1 && S[j].has(b)));
+        if (trap.length)
+          return coloringStep(d, comp, color, tree, at, null, trap.map(j => [...at(j), d]));
+      }
+    }
+    return null;
+  }
+
+  function coloringStep(d, comp, color, tree, at, wrap, eliminations) {
+    const name = j => cell(...at(j));
+    const tag  = j => `${name(j)} (${'AB'[color.get(j)]})`;
+    const p    = { d: g(d) };
+    return {
+      technique: 'Simple Coloring', eliminations,
+      explain: lines(
+        t('Color the {d}s joined by conjugate pairs —\nunits where {d} fits only twice:', p),
+        ...tree.map(([a, b, u]) => `  ${tag(a)} = ${tag(b)} ` + t('in {unit}', { unit: label(u) })),
+        ``,
+        t('In each pair one cell is {d} and the other is not,\nso either every A cell is {d} or every B cell is.', p),
+        ``,
+        ...(wrap
+          ? [t('{a} and {b} are both {color} and see each other,\nso they cannot both be {d}: color {color} is wrong.',
+               { ...p, a: name(wrap.clash[0]), b: name(wrap.clash[1]), color: 'AB'[wrap.c] })]
+          : [t('These cells see an A cell and a B cell, and one of\nthose is {d}, so they cannot be {d}.', p)]),
+        ``,
+        t('Remove:'),
+        ...elimLines(eliminations)
+      ),
+      lesson: wrap
+        ? t('Simple Coloring (wrap): when two cells of one color see each other, that color is false — remove the digit from all its cells.')
+        : t('Simple Coloring (trap): a cell that sees both colors of a conjugate-pair chain cannot hold the digit.'),
+      highlight: {
+        target  : null,
+        peers   : [],
+        unit    : [],
+        pattern : comp.map(at),
+        elim    : elimCells(eliminations),
+        cands   : marks(comp.map(j => [...at(j), d]), eliminations)
+      }
+    };
+  }
+
+  /* Shortest alternating chain, strong link first and last, that
+     removes something. single: one digit, conjugate pairs only. */
+  function findChain(board, cg, single) {
+    const size = board.length, S = seenSets(), m = cg.flat();
+    const peers = Engine.layout().peers;
+    const N = m.length * size;
+    const cellOf = n => Math.floor(n / size), digitOf = n => n % size + 1;
+
+    /* strong[n] — nodes strongly linked to n */
+    const strong = Array.from({ length: N }, () => []);
+    for (let d = 1; d <= size; d++)
+      for (const [a, list] of conjugates(m, d))
+        for (const [b] of list) strong[a*size + d-1].push(b*size + d-1);
+    if (!single)
+      m.forEach((mk, j) => {
+        if (bits(mk) !== 2) return;
+        const [x, y] = digitsIn(mk);
+        strong[j*size + x-1].push(j*size + y-1);
+        strong[j*size + y-1].push(j*size + x-1);
+      });
+    const weak = n => {
+      const j = cellOf(n), d = digitOf(n), out = [];
+      for (const p of peers[j]) if (m[p] & bit(d)) out.push(p*size + d-1);
+      if (!single) for (const e of digitsIn(m[j])) if (e !== d) out.push(j*size + e-1);
+      return out;
+    };
+
+    /* What a chain from start to end rules out */
+    const removes = (s, e) => {
+      const a = cellOf(s), b = cellOf(e), x = digitOf(s), y = digitOf(e);
+      if (x === y) return a === b ? [] : seeAll(m, [a, b]).filter(j => m[j] & bit(x)).map(j => [j, x]);
+      if (a === b) return digitsIn(m[a] & ~bit(x) & ~bit(y)).map(d => [a, d]);
+      if (!S[a].has(b)) return [];
+      return [[a, y], [b, x]].filter(([j, d]) => m[j] & bit(d));
+    };
+
+    /* Breadth-first from every start; a later start only
+       looks for chains shorter than the best so far.
+       state = node*2 + (1 when the next link is weak) */
+    let best = null;
+    const from = new Int32Array(N * 2), stamp = new Int32Array(N * 2);
+    for (let s = 0; s < N; s++) {
+      if (!(m[cellOf(s)] & bit(digitOf(s))) || !strong[s].length) continue;
+      const limit = best ? best.nodes.length - 1 : CHAIN_MAX;
+      stamp[s * 2] = s + 1;
+      let layer = [s * 2], found = null;
+      for (let len = 1; layer.length && len < limit && !found; len++) {
+        const next = [];
+        for (const st of layer) {
+          const n = st >> 1, weakNext = st & 1;
+          for (const o of weakNext ? weak(n) : strong[n]) {
+            const to = o * 2 + (weakNext ? 0 : 1);
+            if (stamp[to] === s + 1) continue;
+            stamp[to] = s + 1; from[to] = st;
+            next.push(to);
+            if (weakNext || len < 3) continue;
+            const removed = removes(s, o);
+            if (!removed.length) continue;
+            const nodes = [o];
+            for (let t = to; t !== s * 2; t = from[t]) nodes.unshift(from[t] >> 1);
+            if (new Set(nodes).size !== nodes.length) continue;
+            found = { nodes, found: removed };
+            break;
+          }
+          if (found) break;
+        }
+        layer = next;
+      }
+      if (found) best = found;
+    }
+    if (!best) return null;
+    const eliminations = best.found.map(([j, d]) => [Math.floor(j / size), j % size, d]);
+    return chainStep(best.nodes, size, cellOf, digitOf, m, eliminations);
+  }
+
+  function chainStep(nodes, size, cellOf, digitOf, m, eliminations) {
+    const at   = j => [Math.floor(j / size), j % size];
+    const name = j => cell(...at(j));
+    const say  = (n, on) => t(on ? '{cell} is {d}' : '{cell} is not {d}', { cell: name(cellOf(n)), d: g(digitOf(n)) });
+    const single = nodes.every(n => digitOf(n) === digitOf(nodes[0]));
+    const technique = single ? 'X-Chain' : 'AIC';
+    const unitOf = (a, b, d) => Engine.layout().units.find(u =>
+      u.ids.includes(a) && u.ids.includes(b) && u.ids.filter(j => m[j] & bit(d)).length === 2);
+    const steps = nodes.slice(1).map((n, i) => {
+      const p = nodes[i], strongLink = i % 2 === 0, end = i === nodes.length - 2 ? '.' : ',';
+      const lead = `  ${t(i === 0 ? 'then' : 'so')} `;
+      if (cellOf(p) === cellOf(n))
+        return lead + (strongLink ? t("{fact} — the cell's only other candidate", { fact: say(n, true) })
+                                  : t('{fact} — it already holds {d}', { fact: say(n, false), d: g(digitOf(p)) })) + end;
+      return lead + (strongLink
+        ? t('{fact} — the only other spot for {d} in {unit}',
+            { fact: say(n, true), d: g(digitOf(n)), unit: label(unitOf(cellOf(p), cellOf(n), digitOf(n))) })
+        : t('{fact} — it sees {cell}', { fact: say(n, false), cell: name(cellOf(p)) })) + end;
+    });
+    const s = nodes[0], e = nodes[nodes.length - 1];
+    const a = cellOf(s), b = cellOf(e), x = digitOf(s), y = digitOf(e);
+    const either = t('Either {a} or {b}.', { a: say(s, true), b: say(e, true) });
+    const conclusion = x === y
+      ? [either, t('Any cell that sees both cannot be {d}.', { d: g(x) })]
+      : a === b
+        ? [t('So {cell} is {x} or {y}; nothing else fits there.', { cell: name(a), x: g(x), y: g(y) })]
+        : [either, t('They see each other, so {a} cannot be {y} and {b} cannot be {x}.', { a: name(a), b: name(b), x: g(x), y: g(y) })];
+    return {
+      technique, eliminations,
+      explain: lines(
+        t('Follow this chain:'),
+        t('If {fact},', { fact: say(s, false) }),
+        ...steps,
+        ``,
+        ...conclusion,
+        ``,
+        t('Remove:'),
+        ...elimLines(eliminations)
+      ),
+      lesson: single
+        ? t('X-Chain: alternate "only two spots" links and "sees" links for one digit; one end of the chain must hold it.')
+        : t('AIC: chain strong links (only two options) and weak links (cannot both be true) across digits; one end of the chain must be true.'),
+      highlight: {
+        target  : null,
+        peers   : [],
+        unit    : [],
+        pattern : [...new Set(nodes.map(cellOf))].map(at),
+        elim    : elimCells(eliminations),
+        cands   : marks(nodes.map(n => [...at(cellOf(n)), digitOf(n)]), eliminations)
+      }
+    };
+  }
+
+  /* ── UNIQUENESS ──────────────────────────────────
+     Valid only when the puzzle has exactly one solution,
+     so they run only with opts.unique. A deadly pattern is
+     a set of cells whose digits could swap without
+     breaking any rule, giving a second solution.
+     Unique Rectangle: four unsolved cells on two rows and
+     two columns sharing {x,y}; the swap is safe when
+     every box, diagonal and cage holds as many cells of
+     one diagonal pair as of the other. Types 1–4 differ
+     in how the extra candidates are placed.
+     BUG+1: every unsolved cell is bivalue but one; that
+     cell must take the digit that would otherwise leave
+     the grid deadly.
+  ─────────────────────────────────────────────────── */
+  const UNIQUE_NOTE = 'This relies on the puzzle having exactly one solution.';
+
+  /* ids = [top-left, top-right, bottom-left, bottom-right] */
+  function swappable(ids) {
+    const { cellUnits, cageOf } = Engine.layout();
+    const balance = new Map();
+    const tip = (k, w) => balance.set(k, (balance.get(k) || 0) + w);
+    ids.forEach((id, i) => {
+      const w = i === 0 || i === 3 ? 1 : -1;
+      for (const k of cellUnits[id]) tip(k, w);
+      if (cageOf[id] >= 0) tip('cage' + cageOf[id], w);
+    });
+    return [...balance.values()].every(v => v === 0);
+  }
+
+  /* Floor = two corners holding only {x,y}, roof = the facing side */
+  const SIDES = [[[0, 1], [2, 3]], [[2, 3], [0, 1]], [[0, 2], [1, 3]], [[1, 3], [0, 2]]];
+
+  function findUniqueRectangle(board, cg, type) {
+    const size = board.length, m = cg.flat();
+    const units = Engine.layout().units, cellUnits = Engine.layout().cellUnits;
+    const at = j => [Math.floor(j / size), j % size];
+    for (let r1 = 0; r1 < size; r1++)
+      for (let r2 = r1 + 1; r2 < size; r2++)
+        for (let c1 = 0; c1 < size; c1++)
+          for (let c2 = c1 + 1; c2 < size; c2++) {
+            const ids = [r1*size + c1, r1*size + c2, r2*size + c1, r2*size + c2];
+            const common = m[ids[0]] & m[ids[1]] & m[ids[2]] & m[ids[3]];
+            if (bits(common) < 2 || !swappable(ids)) continue;
+            const ds = digitsIn(common);
+            for (let i = 0; i < ds.length; i++)
+              for (let k = i + 1; k < ds.length; k++) {
+                const xy = bit(ds[i]) | bit(ds[k]);
+                const step = rectangle(ids, xy);
+                if (step) return step;
+              }
+          }
+    return null;
+
+    function rectangle(ids, xy) {
+      const pair = ids.filter(j => m[j] === xy);
+      if (type === 1) {
+        if (pair.length !== 3) return null;
+        const j = ids.find(j => m[j] !== xy);
+        return urStep(1, ids, xy, [j], null, size, digitsIn(xy).map(d => [...at(j), d]));
+      }
+      for (const [floor, roof] of SIDES) {
+        const [fa, fb] = floor.map(i => ids[i]), [ra, rb] = roof.map(i => ids[i]);
+        if (m[fa] !== xy || m[fb] !== xy || m[ra] === xy || m[rb] === xy) continue;
+        const shared = cellUnits[ra].filter(k => cellUnits[rb].includes(k)).map(k => units[k]);
+        if (type === 2) {
+          const z = m[ra] & ~xy;
+          if (m[ra] !== m[rb] || bits(z) !== 1) continue;
+          const eliminations = seeAll(m, [ra, rb]).filter(j => m[j] & z && !ids.includes(j))
+            .map(j => [...at(j), digitsIn(z)[0]]);
+          if (eliminations.length) return urStep(2, ids, xy, [ra, rb], null, size, eliminations);
+        }
+        if (type === 3) {
+          const extra = (m[ra] | m[rb]) & ~xy;
+          for (const u of shared) {
+            const open = u.ids.filter(j => m[j] && j !== ra && j !== rb);
+            for (let n = 1; n < Math.min(open.length, 4); n++) {
+              /* the roof acts as one cell holding extra: n cells + roof = n + 1 digits */
+              const step = subsets(open.map(j => m[j]), n, (picks, union) => {
+                if (bits(union) !== n + 1) return null;
+                const cells = picks.map(i => open[i]);
+                const eliminations = [];
+                for (const j of open)
+                  if (!cells.includes(j))
+                    for (const d of digitsIn(m[j] & union)) eliminations.push([...at(j), d]);
+                return eliminations.length
+                  ? urStep(3, ids, xy, [ra, rb], { unit: u, cells, union }, size, eliminations) : null;
+              }, 1, 0, [], extra);
+              if (step) return step;
+            }
+          }
+        }
+        if (type === 4)
+          for (const u of shared)
+            for (const d of digitsIn(xy)) {
+              if (u.ids.some(j => j !== ra && j !== rb && m[j] & bit(d))) continue;
+              const e = digitsIn(xy & ~bit(d))[0];
+              return urStep(4, ids, xy, [ra, rb], { unit: u, d }, size, [[...at(ra), e], [...at(rb), e]]);
+            }
+      }
+      return null;
+    }
+  }
+
+  /* roof = corners carrying the extras; via = type 3 subset or type 4 unit */
+  function urStep(type, ids, xy, roof, via, size, eliminations) {
+    const at   = j => [Math.floor(j / size), j % size];
+    const name = j => cell(...at(j));
+    const [x, y] = digitsIn(xy).map(g);
+    const floor = ids.filter(j => !roof.includes(j));
+    const z = g(eliminations[0][2]);
+    const p = { x, y, z, floor: and(floor.map(name)), a: name(roof[0]), b: name(roof[1]) };
+    if (via) Object.assign(p, { unit: label(via.unit), d: via.d && g(via.d), cells: and(via.cells ? via.cells.map(name) : []),
+                                digits: via.union && fmt(digitsIn(via.union)), k: via.cells && count(via.cells.length + 1) });
+    const why = type === 1
+      ? t('{floor} hold only {x} and {y}.\nIf {a} were {x} or {y} too, the {x}s and {y}s could\nswap places in the rectangle and the puzzle would have two solutions.\nSo {a} cannot be {x} or {y}.', p)
+      : type === 2
+      ? t('{floor} hold only {x} and {y};\n{a} and {b} hold {x}, {y} and {z}.\nIf neither were {z}, all four corners would be {x}/{y} and\ncould swap, giving two solutions. So one of them is {z},\nand any cell that sees both cannot be {z}.', p)
+      : type === 3
+      ? t('{floor} hold only {x} and {y}, so one of\n{a} and {b} must take one of their other digits.\nTogether they act as one cell in {unit}. With {cells}\nthey lock {digits} into {k} places,\nso no other cell in {unit} can hold those digits.', p)
+      : t('{floor} hold only {x} and {y}.\nIn {unit}, {d} fits only {a} and {b}, so one of them is {d}.\nIf either were {z}, the other would be {d} and the\nrectangle would be all {x}/{y} — two solutions.\nSo neither can be {z}.', p);
+    return {
+      technique: `Unique Rectangle Type ${type}`, eliminations,
+      explain: lines(
+        t(Engine.layout().variant === 'jigsaw'
+            ? '{cells} form a rectangle\non two rows, two columns and two regions, all holding {x} and {y}.'
+            : '{cells} form a rectangle\non two rows, two columns and two boxes, all holding {x} and {y}.',
+          { x, y, cells: and([...ids].sort((a, b) => a - b).map(name)) }),
+        why,
+        ``,
+        t(UNIQUE_NOTE),
+        ``,
+        t('Remove:'),
+        ...elimLines(eliminations)
+      ),
+      lesson: t('Unique Rectangle: four corners that could swap two digits would mean two solutions — so the extras must break the pattern. Only for puzzles with one solution.'),
+      highlight: {
+        target  : null,
+        peers   : [],
+        unit    : via ? via.unit.cells : [],
+        pattern : ids.map(at),
+        elim    : elimCells(eliminations),
+        cands   : marks(ids.flatMap(j => digitsIn(xy).map(d => [...at(j), d])), eliminations)
+      }
+    };
+  }
+
+  function findBug(board, cg) {
+    const size = board.length, m = cg.flat();
+    const { units, variant } = Engine.layout();
+    if (variant === 'x' || variant === 'killer') return null;   /* diagonals and cages break the parity argument */
+    const open = m.map((_, j) => j).filter(j => m[j]);
+    const three = open.filter(j => bits(m[j]) !== 2);
+    if (three.length !== 1 || bits(m[three[0]]) !== 3) return null;
+    const odd = three[0];
+    let plus = 0;
+    for (const u of units)
+      for (let d = 1; d <= size; d++) {
+        const n = u.ids.filter(j => m[j] & bit(d)).length;
+        if (n === 0 || n === 2) continue;
+        if (n !== 3 || !u.ids.includes(odd) || (plus && plus !== d)) return null;
+        plus = d;
+      }
+    if (!plus) return null;
+    const [r, c] = [Math.floor(odd / size), odd % size];
+    const eliminations = digitsIn(m[odd] & ~bit(plus)).map(d => [r, c, d]);
+    const home = units.find(u => u.ids.includes(odd) && u.ids.filter(j => m[j] & bit(plus)).length === 3);
+    return {
+      technique: 'BUG+1', eliminations,
+      explain: lines(
+        t('Every unsolved cell except {cell} has exactly two candidates.\nWithout its extra digit, each digit would appear exactly twice in\nevery unit — a "bivalue universal grave", which has either no\nsolution or two.', { cell: cell(r, c) }),
+        ``,
+        t('{d} is the extra: it appears three times in {unit}.\nSo {cell} must be {d}.', { d: g(plus), unit: label(home), cell: cell(r, c) }),
+        ``,
+        t(UNIQUE_NOTE),
+        ``,
+        t('Remove:'),
+        ...elimLines(eliminations)
+      ),
+      lesson: t('BUG+1: when all unsolved cells but one are bivalue, that cell takes the digit seen three times in its units. Only for puzzles with one solution.'),
+      highlight: {
+        target  : null,
+        peers   : [],
+        unit    : home.cells,
+        pattern : [[r, c]],
+        elim    : [[r, c]],
+        cands   : marks([[r, c, plus]], eliminations)
+      }
+    };
+  }
+
   /* ── FALLBACK ─────────────────────────────────── */
-  function fallback(board, solution) {
-    for (let r = 0; r < 9; r++)
-      for (let c = 0; c < 9; c++) {
+  function fallback(board, solution, cg = candidateGrid(board)) {
+    for (let r = 0; r < board.length; r++)
+      for (let c = 0; c < board.length; c++) {
         if (board[r][c]) continue;
         const ans = solution[r][c];
-        const peers = buildPeers(r, c);
         return {
           technique: 'Advanced Technique', row: r, col: c, value: ans,
           explain: lines(
-            `${cell(r,c)} needs an advanced technique.`,
+            t('{cell} needs an advanced technique.', { cell: cell(r, c) }),
             ``,
-            `Current candidates: ${fmt(gc(board,r,c))}`,
+            t('Current candidates: {digits}', { digits: fmt(digitsIn(cg[r][c])) }),
             ``,
-            `A pattern like Naked Pairs or X-Wing is needed`,
-            `to narrow these down further.`,
+            t('A longer chain of reasoning is needed\nto narrow these down further.'),
             ``,
-            `The correct answer is ${ans}.`,
-            `Tap "Place ${ans}" to continue.`
+            t('The correct answer is {d}.\nTap "Place {d}" to continue.', { d: g(ans) })
           ),
-          lesson: 'Advanced techniques like Naked Pairs and X-Wings eliminate candidates when basic scanning is not enough. See the Techniques tab.',
+          lesson: t('Chains and other advanced patterns eliminate candidates when fish, wings and chains are not enough. See the Techniques tab.'),
           highlight: {
             target : [r, c],
             peers  : [],
-            unit   : [...peers.row, ...peers.col, ...peers.box]
+            unit   : Engine.peers(r, c)
           }
         };
       }
     return null;
   }
 
+  /* ── NOTE CHECK ──────────────────────────────────
+     Compares the player's pencil marks with the board,
+     for cells that have notes. A note set without the
+     cell's digit misleads every hint built on it; a digit
+     a placed peer already rules out is just stale.
+  ─────────────────────────────────────────────────── */
+  function staleReason(board, r, c, d) {
+    const u = Engine.unitsOf(r, c).find(u => u.cells.some(([pr, pc]) => board[pr][pc] === d));
+    const cage = Engine.cageOf(r, c);
+    const at = (u ? u.cells : cage ? cage.cells : []).find(([pr, pc]) => board[pr][pc] === d);
+    if (at) return t('{d} is already in {unit} at {cell}', { d: g(d), unit: u ? label(u) : t('its cage'), cell: cell(...at) });
+    return t('{d} does not fit its cage sum', { d: g(d) });
+  }
+
+  function checkNotes(board, notes, solution) {
+    const problems = [];
+    for (let r = 0; r < board.length; r++)
+      for (let c = 0; c < board.length; c++) {
+        if (board[r][c] || !notes[r][c].size) continue;
+        const ans = solution[r][c];
+        if (!notes[r][c].has(ans))
+          problems.push({ row: r, col: c, kind: 'missing', digits: [ans],
+            explain: t('{cell}: the notes leave out {d}, the digit that belongs here.', { cell: cell(r, c), d: g(ans) }) });
+        const legal = gc(board, r, c);
+        const stale = [...notes[r][c]].filter(d => !legal.has(d)).sort((a, b) => a - b);
+        if (stale.length)
+          problems.push({ row: r, col: c, kind: 'stale', digits: stale,
+            explain: `${cell(r, c)}: ${stale.map(d => staleReason(board, r, c, d)).join('; ')}.` });
+      }
+    return problems;
+  }
+
+  /* ── RATINGS ─────────────────────────────────────
+     Hidden Singles in a box (or jigsaw region) are the
+     easiest thing to spot; Naked Singles need every peer
+     checked. Killer cage sums feed into the candidates,
+     so they show up as singles too.
+     'Advanced Technique' is anything past the solver.
+  ─────────────────────────────────────────────────── */
+  const RATINGS = {
+    'Hidden Single (Box)':      1.2,
+    'Hidden Single (Region)':   1.2,
+    'Hidden Single (Row)':      1.5,
+    'Hidden Single (Col)':      1.5,
+    'Hidden Single (Diagonal)': 1.5,
+    'Naked Single':             2.3,
+    'Pointing Pair':            2.6,
+    'Pointing Triple':          2.6,
+    'Pointing Quad':            2.6,
+    'Pointing':                 2.6,
+    'Box/Line Reduction':       2.8,
+    'Naked Pair':               3.0,
+    'X-Wing':                   3.2,
+    'Hidden Pair':              3.4,
+    'Finned X-Wing':            3.4,
+    'Sashimi X-Wing':           3.5,
+    'Naked Triple':             3.6,
+    'Swordfish':                3.8,
+    'Hidden Triple':            4.0,
+    'Finned Swordfish':         4.0,
+    'Sashimi Swordfish':        4.1,
+    'XY-Wing':                  4.2,
+    'XYZ-Wing':                 4.4,
+    'W-Wing':                   4.4,
+    'Unique Rectangle Type 1':  4.5,
+    'Unique Rectangle Type 2':  4.5,
+    'Unique Rectangle Type 3':  4.6,
+    'Unique Rectangle Type 4':  4.6,
+    'Simple Coloring':          4.6,
+    'Naked Quad':               5.0,
+    'Jellyfish':                5.2,
+    'Hidden Quad':              5.4,
+    'Finned Jellyfish':         5.4,
+    'Sashimi Jellyfish':        5.5,
+    'BUG+1':                    5.6,
+    'X-Chain':                  6.0,
+    'AIC':                      6.6,
+    'Advanced Technique':       10
+  };
+
+  /* Elimination techniques, easiest first. o = the caller's
+     opts; uniqueness techniques need o.unique. */
+  const ELIMINATORS = [
+    (b, cg) => findIntersection(b, cg, true),
+    (b, cg) => findIntersection(b, cg, false),
+    (b, cg) => findNakedSubset(b, cg, 2),
+    (b, cg) => findFish(b, cg, 2, false),
+    (b, cg) => findHiddenSubset(b, cg, 2),
+    (b, cg) => findFish(b, cg, 2, true),
+    (b, cg) => findNakedSubset(b, cg, 3),
+    (b, cg) => findFish(b, cg, 3, false),
+    (b, cg) => findHiddenSubset(b, cg, 3),
+    (b, cg) => findFish(b, cg, 3, true),
+    (b, cg) => findXYWing(b, cg, false),
+    (b, cg) => findXYWing(b, cg, true),
+    findWWing,
+    (b, cg, o) => o.unique && findUniqueRectangle(b, cg, 1),
+    (b, cg, o) => o.unique && findUniqueRectangle(b, cg, 2),
+    (b, cg, o) => o.unique && findUniqueRectangle(b, cg, 3),
+    (b, cg, o) => o.unique && findUniqueRectangle(b, cg, 4),
+    findColoring,
+    (b, cg) => findNakedSubset(b, cg, 4),
+    (b, cg) => findFish(b, cg, 4, false),
+    (b, cg) => findHiddenSubset(b, cg, 4),
+    (b, cg) => findFish(b, cg, 4, true),
+    (b, cg, o) => o.unique && findBug(b, cg),
+    (b, cg) => findChain(b, cg, true),
+    (b, cg) => findChain(b, cg, false)
+  ];
+
+  /* Solver order: easiest technique first, so the grade
+     reflects the simplest path a human could take. */
+  const SOLVER = [
+    (b, cg) => findHiddenSingle(b, cg, ['box']),
+    (b, cg) => findHiddenSingle(b, cg, ['row','col','diag']),
+    findNakedSingle,
+    ...ELIMINATORS
+  ];
+
+  /* ── LOGICAL SOLVE ───────────────────────────────
+     Applies techniques until the board is full or
+     nothing more applies. Never guesses — unless given
+     the solution, which the fallback then places, and
+     record adds the board and candidates each step
+     starts from.
+  ─────────────────────────────────────────────────── */
+  function solve(board, opts, { solution = null, record = false } = {}) {
+    const b  = board.map(r => [...r]);
+    const cg = candidateGrid(b);
+    const steps = [];
+    for (;;) {
+      let step = null;
+      for (const find of SOLVER) if ((step = find(b, cg, opts))) break;
+      if (!step && solution) step = fallback(b, solution, cg);
+      if (!step) break;
+      if (record) {
+        step.board = b.map(r => [...r]);
+        step.cands = cg.map(row => row.map(m => new Set(digitsIn(m))));
+      }
+      if (step.eliminations) eliminate(cg, step.eliminations);
+      else { b[step.row][step.col] = step.value; refresh(b, cg, step.row, step.col); }
+      steps.push(step);
+    }
+    return { board: b, steps, solved: b.every(row => row.every(v => v)) };
+  }
+
+  /* ── GRADE ───────────────────────────────────── */
+  function grade(board, { unique = false } = {}) {
+    const { steps, solved } = solve(board, { unique });
+    const techniques = steps.map(s => s.technique);
+    if (!solved) techniques.push('Advanced Technique');
+    let hardest = null, rating = 0;
+    for (const t of techniques)
+      if (RATINGS[t] > rating) { hardest = t; rating = RATINGS[t]; }
+    return { solved, techniques, hardest, rating };
+  }
+
+  /* ── WALKTHROUGH ─────────────────────────────── */
+  function walk(board, solution, { unique = false } = {}) {
+    return solve(board, { unique }, { solution, record: true }).steps;
+  }
+
+  function techniques() {
+    return Object.entries(RATINGS)
+      .map(([name, rating]) => ({ name, rating }))
+      .sort((a, b) => a.rating - b.rating);
+  }
+
+  /* A placement that only appears after eliminations:
+     teach the eliminations first, then what they unlock */
+  function unlocked(lead, step) {
+    return {
+      ...step,
+      technique: lead[0].technique,
+      eliminations: lead.flatMap(s => s.eliminations),
+      steps: [...lead, step],
+      explain: [...lead.map(s => s.explain), `${t('With those candidates gone:')}\n${step.explain}`].join('\n\n'),
+      lesson: lead[0].lesson,
+      highlight: {
+        ...lead[0].highlight,
+        target : [step.row, step.col],
+        elim   : elimCells(lead.flatMap(s => s.eliminations)),
+        cands  : lead.flatMap(s => s.highlight.cands)
+      }
+    };
+  }
+
+  /* ── MISTAKE EXPLANATION ─────────────────────────
+     Why a digit cannot go in a cell, when no placed digit
+     clashes with it: suppose it goes there and follow the
+     singles it forces until some cell has no candidate or
+     some digit has no place in a unit. Facts resting on
+     the fewest steps are taken first, so the contradiction
+     found needs few steps; only the steps it rests on are
+     kept. When singles stall, the other techniques
+     carry on.
+  ─────────────────────────────────────────────────── */
+  function refute(board, row, col, d, { unique = false } = {}) {
+    const layout = Engine.layout(), size = board.length, S1 = size + 1;
+    const at = i => [Math.floor(i / size), i % size];
+    const b = board.map(r => [...r]);
+    const cg = candidateGrid(b);
+    const base = cg.flat();
+    const placedBy = new Int16Array(size * size).fill(-1);
+    const why = [];   /* why[cell*S1 + digit] — steps that removed it */
+    const steps = [];
+
+    /* cone — every earlier step a fact rests on, however indirectly */
+    const coneOf = deps => {
+      const cone = new Set(deps);
+      for (const k of deps) for (const j of steps[k].cone) cone.add(j);
+      return cone;
+    };
+    const dead = f => f.kind === 'empty' || f.kind === 'none';
+    const removedBy = (i, mask) => {
+      const out = new Set();
+      for (const e of digitsIn(mask)) for (const k of why[i*S1 + e]) out.add(k);
+      return [...out];
+    };
+
+    /* Place v at cell i as step k; record what its peers lose.
+       A cage can lose digits to its sum, which rests on every
+       digit supposed in it so far. */
+    function place(i, v, k) {
+      const [r, c] = at(i);
+      b[r][c] = v; cg[r][c] = 0; placedBy[i] = k;
+      const sees = new Set(layout.cellUnits[i].flatMap(u => layout.units[u].ids));
+      for (const p of layout.peers[i]) {
+        const [pr, pc] = at(p);
+        if (!cg[pr][pc]) continue;
+        const lost = cg[pr][pc] & ~maskOf(gc(b, pr, pc));
+        cg[pr][pc] &= ~lost;
+        for (const e of digitsIn(lost))
+          why[p*S1 + e] = e === v && sees.has(p) ? [k]
+            : layout.cages[layout.cageOf[p]].ids.map(j => placedBy[j]).filter(j => j >= 0);
+      }
+    }
+
+    /* A technique reads its pattern cells and what they see;
+       BUG+1 reads the whole grid */
+    function readBy(step) {
+      const ids = step.technique === 'BUG+1' ? layout.peers.map((p, i) => i)
+        : [...new Set(step.highlight.pattern.flatMap(([r, c]) => [r*size + c, ...layout.peers[r*size + c]]))];
+      const deps = new Set();
+      for (const i of ids) {
+        const [r, c] = at(i);
+        if (placedBy[i] >= 0) deps.add(placedBy[i]);
+        else for (const k of removedBy(i, base[i] & ~cg[r][c])) deps.add(k);
+      }
+      return [...deps];
+    }
+
+    /* The fact available now that rests on the fewest steps;
+       a contradiction wins a tie */
+    function next() {
+      let best = null;
+      const offer = f => {
+        f.cone = coneOf(f.deps);
+        const n = f.cone.size, m = best && best.cone.size;
+        if (!best || n < m || n === m && dead(f) && !dead(best)) best = f;
+      };
+      for (let i = 0; i < size * size; i++) {
+        const [r, c] = at(i);
+        if (b[r][c]) continue;
+        if (!cg[r][c]) offer({ kind: 'empty', i, deps: removedBy(i, base[i]) });
+      }
+      for (const u of layout.units)
+        for (let v = 1; v <= size; v++) {
+          if (u.cells.some(([r, c]) => b[r][c] === v)) continue;
+          const fits = u.ids.filter(i => cg[at(i)[0]][at(i)[1]] & bit(v));
+          if (fits.length > 1) continue;
+          const deps = new Set();
+          for (const i of u.ids)
+            if (placedBy[i] >= 0) deps.add(placedBy[i]);
+            else if (i !== fits[0] && base[i] & bit(v)) for (const k of why[i*S1 + v]) deps.add(k);
+          offer(fits.length ? { kind: 'hidden', i: fits[0], v, u, deps: [...deps] }
+                            : { kind: 'none', v, u, deps: [...deps] });
+        }
+      for (let i = 0; i < size * size; i++) {
+        const [r, c] = at(i);
+        if (bits(cg[r][c]) !== 1) continue;
+        const v = digitsIn(cg[r][c])[0];
+        offer({ kind: 'naked', i, v, deps: removedBy(i, base[i] & ~bit(v)) });
+      }
+      return best;
+    }
+
+    if (!(base[row*size + col] & bit(d))) return null;
+    steps.push({ kind: 'suppose', i: row*size + col, v: d, deps: [], cone: new Set() });
+    place(row*size + col, d, 0);
+    let end;
+    for (;;) {
+      const f = next();
+      if (f && dead(f)) { end = f; break; }
+      if (f) { steps.push(f); place(f.i, f.v, steps.length - 1); continue; }
+      let step = null;
+      for (const find of ELIMINATORS) if ((step = find(b, cg, { unique }))) break;
+      if (!step) return null;
+      const deps = readBy(step);
+      const k = steps.push({ kind: 'step', step, deps, cone: coneOf(deps) }) - 1;
+      eliminate(cg, step.eliminations);
+      for (const [r, c, e] of step.eliminations) why[(r*size + c)*S1 + e] = [k];
+    }
+
+    /* Keep the steps the contradiction rests on */
+    const chain = [0, ...end.cone].filter((k, j, a) => a.indexOf(k) === j)
+      .sort((x, y) => x - y).map(k => steps[k]).concat(end);
+
+    const supposed = [];   /* [r, c, v, 'pattern'] — digits supposed so far */
+    const shown = chain.map(f => {
+      const cells = f.deps.filter(k => steps[k].kind !== 'step').map(k => at(steps[k].i));
+      const pos = f.i === undefined ? null : at(f.i);
+      if (f.v && f.kind !== 'none') supposed.push([...pos, f.v, 'pattern']);
+      const marks = [...supposed];
+      const hl = { target: null, peers: [], unit: [], pattern: cells, cands: marks };
+      let text;
+      if (f.kind === 'suppose') {
+        text = t('Suppose {d} went in {cell}.', { d: g(d), cell: cell(row, col) });
+        Object.assign(hl, { target: pos, unit: Engine.peers(row, col) });
+      } else if (f.kind === 'naked') {
+        text = t('{cell} would have only {d} left.', { cell: cell(...pos), d: g(f.v) });
+        Object.assign(hl, { target: pos, unit: Engine.peers(...pos) });
+        hl.peers = hl.unit.filter(([r, c]) => board[r][c]);
+      } else if (f.kind === 'hidden') {
+        text = t('{d} would fit only {cell} in {unit}.', { d: g(f.v), cell: cell(...pos), unit: label(f.u) });
+        Object.assign(hl, { target: pos, unit: f.u.cells });
+        hl.peers = f.u.cells.filter(([r, c]) => board[r][c]);
+      } else if (f.kind === 'step') {
+        const e = f.step.eliminations;
+        text = t('{technique} would rule out {list}.', { technique: f.step.technique,
+          list: and(e.map(([r, c, v]) => t('{d} at {cell}', { d: g(v), cell: cell(r, c) }))) });
+        Object.assign(hl, f.step.highlight);
+        hl.cands = [...marks, ...(f.step.highlight.cands || [])];
+      } else if (f.kind === 'empty') {
+        text = t('Then {cell} would have no candidate left — impossible.', { cell: cell(...pos) });
+        Object.assign(hl, { elim: [pos], unit: Engine.peers(...pos) });
+      } else {
+        text = t('Then {d} would have no place in {unit} — impossible.', { d: g(f.v), unit: label(f.u) });
+        Object.assign(hl, { unit: f.u.cells, elim: f.u.cells.filter(([r, c]) => !board[r][c]) });
+      }
+      return { text, row: pos && pos[0], col: pos && pos[1], value: f.v, highlight: hl };
+    });
+
+    return {
+      row, col, value: d, steps: shown,
+      explain: t(['Suppose {d} went in {cell}: {n} step leads to a contradiction, so {d} cannot go there.',
+                  'Suppose {d} went in {cell}: {n} steps lead to a contradiction, so {d} cannot go there.'],
+                 { d: g(d), cell: cell(row, col), n: shown.length - 1 })
+    };
+  }
+
+  /* ── PROGRESSIVE REVEAL ──────────────────────────
+     hint.nudge names the technique and where to look;
+     hint.focus is the digit to look for. Both give away
+     less than the explanation, for hints shown in levels.
+  ─────────────────────────────────────────────────── */
+  function areaOf(step) {
+    const hl = step.highlight, units = Engine.layout().units;
+    const key = cells => cells.map(([r, c]) => r*64 + c).sort((a, b) => a - b).join();
+    const exact = units.find(u => key(u.cells) === key(hl.unit));
+    if (exact) return label(exact);
+    const cells = hl.pattern || (hl.target ? [hl.target] : []);
+    const holds = u => cells.every(([r, c]) => u.cells.some(([ur, uc]) => ur === r && uc === c));
+    for (const type of ['box', 'row', 'col', 'diag']) {
+      const u = units.find(u => u.type === type && holds(u));
+      if (u) return label(u);
+    }
+    return null;
+  }
+
+  function withReveal(hint) {
+    if (!hint) return hint;
+    const first = hint.steps ? hint.steps[0] : hint;
+    const area  = areaOf(first);
+    const an    = /^[AEIOX]/.test(hint.technique);
+    const p     = { technique: hint.technique, area };
+    hint.nudge = hint.technique === 'Advanced Technique'
+      ? t(area ? 'The next step is beyond the techniques the tutor knows. Look in {area}.'
+               : 'The next step is beyond the techniques the tutor knows. Look around.', p)
+      : area ? t(an ? "There's an {technique} in {area}." : "There's a {technique} in {area}.", p)
+             : t(an ? "There's an {technique} on the board." : "There's a {technique} on the board.", p);
+    hint.focus = first.eliminations ? first.eliminations[0][2] : hint.value;
+    return hint;
+  }
+
   /* ── PUBLIC ── */
-  function findMove(board, solution) {
-    return findNakedSingle(board) || findHiddenSingle(board) || fallback(board, solution);
+  function findMove(board, solution, { unique = false, notes = null } = {}) {
+    const cg = notes ? notedGrid(board, notes) : candidateGrid(board);
+    const lead = [];
+    for (;;) {
+      let step = findNakedSingle(board, cg) || findHiddenSingle(board, cg);
+      for (const find of ELIMINATORS) if (step || (step = find(board, cg, { unique }))) break;
+      if (!step) return withReveal(fallback(board, solution, cg));
+      if (!step.eliminations) return withReveal(lead.length ? unlocked(lead, step) : step);
+      eliminate(cg, step.eliminations);
+      lead.push(step);
+    }
   }
 
-  return { findMove };
+  return { findMove, grade, walk, techniques, checkNotes, refute };
 })();
@@ -0,0 +1,680 @@
+/*
+  ═══════════════════════════════════════════════════
+  I18N-ES.JS — Spanish Catalog
+  ═══════════════════════════════════════════════════
+  Keys are the English text passed to I18n.t(); plural
+  keys (the first English form) map to { one, other }.
+  Unit labels carry their article ("la fila 3"), so
+  sentences read "en la fila 3" without one.
+
+  DEPENDS ON: i18n.js
+  ═══════════════════════════════════════════════════
+*/
+I18n.add('es', 'Español', {
+
+  /* ── Words and units ─────────────────────────── */
+  'row': 'fila', 'col': 'columna', 'box': 'caja', 'region': 'región', 'diagonal': 'diagonal', 'cage': 'jaula',
+  'rows': 'filas', 'cols': 'columnas',
+  'row {n}': 'la fila {n}', 'col {n}': 'la columna {n}', 'box {n}': 'la caja {n}', 'region {n}': 'la región {n}',
+  'the ↘ diagonal': 'la diagonal ↘', 'the ↙ diagonal': 'la diagonal ↙',
+  'rows {list}': 'las filas {list}', 'cols {list}': 'las columnas {list}',
+  'its cage': 'su jaula',
+  'and': 'y', 'or': 'o', 'none': 'ninguno', 'then': 'entonces', 'so': 'así que',
+  'two': 'dos', 'three': 'tres', 'four': 'cuatro',
+  'beginner': 'principiante', 'easy': 'fácil', 'medium': 'medio', 'hard': 'difícil', 'expert': 'experto',
+  'daily': 'diario', 'enter': 'introducir',
+  'rotational': 'rotacional', 'mirror': 'espejo',
+  'classic': 'clásico', 'X-Sudoku': 'Sudoku X', 'jigsaw': 'irregular', 'killer': 'killer',
+  'Nudge': 'Pista', 'Digit': 'Dígito', 'Cell': 'Casilla', 'Answer': 'Respuesta',
+  'Beginner': 'Principiante', 'Intermediate': 'Intermedio', 'Advanced': 'Avanzado',
+
+  /* ── Hints: singles ──────────────────────────── */
+  'Cage of {n} summing to {sum}: {digits}': 'Jaula de {n} que suma {sum}: {digits}',
+  'Already ruled out: {digits}': 'Ya descartados: {digits}',
+  '{cell} has only ONE valid candidate.': '{cell} tiene UN solo candidato válido.',
+  'Together they eliminate every digit except {d}.': 'Entre todas eliminan todos los dígitos excepto el {d}.',
+  '→ Place {d} here.': '→ Coloca aquí el {d}.',
+  'Naked Single: when the {units} eliminate {n} digits, only one candidate remains.':
+    'Single desnudo: cuando {units} eliminan {n} dígitos, solo queda un candidato.',
+  'Where can {d} go in {unit}?': '¿Dónde puede ir el {d} en {unit}?',
+  'Scan each empty cell — {d} is blocked from every cell\nexcept {cell}.':
+    'Revisa cada casilla vacía: el {d} está bloqueado en todas\nexcepto en {cell}.',
+  'Other candidates at {cell}: {digits}': 'Otros candidatos en {cell}: {digits}',
+  'But {d} can ONLY go here → place it.': 'Pero el {d} SOLO puede ir aquí → colócalo.',
+  'Hidden Single: if a digit fits in only one cell within a {unit}, it must go there.':
+    'Single oculto: si un dígito cabe en una sola casilla de una {unit}, debe ir ahí.',
+
+  /* ── Hints: intersections and subsets ────────── */
+  'In {a}, every spot for {d} lies in {b}:': 'En {a}, todos los huecos para el {d} están en {b}:',
+  'In {a}, every spot for {d} lies inside {b}:': 'En {a}, todos los huecos para el {d} están dentro de {b}:',
+  'Whichever of them gets the {d}, the {d} of {b} is inside {a},\nso no other cell in {b} can hold {d}.':
+    'Sea cual sea la que lleve el {d}, el {d} de {b} está dentro de {a},\nasí que ninguna otra casilla de {b} puede tener el {d}.',
+  'The {d} of {a} must be one of them, and they all belong to {b} —\nso no other cell in {b} can hold {d}.':
+    'El {d} de {a} tiene que ser una de ellas, y todas pertenecen a {b};\nasí que ninguna otra casilla de {b} puede tener el {d}.',
+  'Remove:': 'Elimina:',
+  "{technique}: when a digit's spots in a box all lie on one row or column, remove it from the rest of that line.":
+    '{technique}: cuando los huecos de un dígito en una caja están todos en una fila o columna, elimínalo del resto de esa línea.',
+  "Box/Line Reduction: when a digit's spots in a row or column all lie inside one box, remove it from the rest of that box.":
+    'Box/Line Reduction: cuando los huecos de un dígito en una fila o columna están todos dentro de una caja, elimínalo del resto de esa caja.',
+  'Look at {cells} in {unit}.\nBetween them they can only hold {digits}.\n\n{K} cells, {k} digits — {digits} must fill these cells,\nso no other cell in {unit} can hold them.':
+    'Mira {cells} en {unit}.\nEntre todas solo pueden tener {digits}.\n\n{K} casillas, {k} dígitos: {digits} deben llenar estas casillas,\nasí que ninguna otra casilla de {unit} puede tenerlos.',
+  'In {unit}, the digits {digits} fit only in\n{cells}.\n\n{K} digits, {k} cells — these cells must hold {digits},\nso every other candidate in them can go.':
+    'En {unit}, los dígitos {digits} solo caben en\n{cells}.\n\n{K} dígitos, {k} casillas: estas casillas deben tener {digits},\nasí que todos sus demás candidatos sobran.',
+  '{technique}: when {k} cells in a unit share only {k} candidates between them, those digits are locked there — remove them from the rest of the unit.':
+    '{technique}: cuando {k} casillas de una unidad comparten solo {k} candidatos, esos dígitos quedan fijados ahí; elimínalos del resto de la unidad.',
+  '{technique}: when {k} digits in a unit fit only in the same {k} cells, those cells hold nothing else — remove their other candidates.':
+    '{technique}: cuando {k} dígitos de una unidad solo caben en las mismas {k} casillas, esas casillas no tienen nada más; elimina sus otros candidatos.',
+
+  /* ── Hints: fish ─────────────────────────────── */
+  'Look at {d} in {bases} (the base).': 'Mira el {d} en {bases} (la base).',
+  'In each of them, {d} fits only in {covers} (the cover)': 'En cada una, el {d} solo cabe en {covers} (la cobertura)',
+  'apart from the fin {fins} in {box}:': {
+    one: 'salvo la aleta {fins} en {box}:',
+    other: 'salvo las aletas {fins} en {box}:' },
+  'Each base {line} needs its own {d} in a different cover {other},\nso the {k} {lines} use up the {d} of {covers}.':
+    'Cada {line} base necesita su propio {d} en una {other} de cobertura distinta,\nasí que las {k} {lines} agotan el {d} de {covers}.',
+  'Either that holds, or a fin is the {d} — both ways, a cover\ncell in {box} cannot hold {d}.':
+    'O se cumple eso, o una aleta es el {d}: en ambos casos, una casilla\nde cobertura en {box} no puede tener el {d}.',
+  '(Sashimi: without the fins a base {line} keeps only one cover spot.)':
+    '(Sashimi: sin las aletas, una {line} base conserva un solo hueco de cobertura.)',
+  'No other cell in {covers} can hold {d}.': 'Ninguna otra casilla de {covers} puede tener el {d}.',
+  '{technique}: a {fish} with extra spots in one box — only cover cells in that box, which see every fin, lose the digit.':
+    '{technique}: un {fish} con huecos de más en una caja; solo las casillas de cobertura de esa caja, que ven todas las aletas, pierden el dígito.',
+  "{fish}: when a digit's spots in {k} {lines} all fall in the same {k} {others}, remove it from the rest of those {others}.":
+    '{fish}: cuando los huecos de un dígito en {k} {lines} caen todos en las mismas {k} {others}, elimínalo del resto de esas {others}.',
+
+  /* ── Hints: wings ────────────────────────────── */
+  '{a} and {b} can each only be {opts}.': '{a} y {b} solo pueden ser {opts}.',
+  'In {unit}, {x} fits only {c} and {d};': 'En {unit}, el {x} solo cabe en {c} y {d};',
+  '{c} sees {a} and {d} sees {b}.': '{c} ve a {a} y {d} ve a {b}.',
+  'If both cells were {x}, neither {c} nor {d} could be {x},\nleaving {unit} without a {x}. So at least one of them is {z}.':
+    'Si las dos casillas fueran {x}, ni {c} ni {d} podrían ser {x},\ny {unit} se quedaría sin {x}. Así que al menos una de ellas es {z}.',
+  'Cells that see both: {cells}': 'Casillas que ven a las dos: {cells}',
+  'None of them can be {z}.': 'Ninguna de ellas puede ser {z}.',
+  'W-Wing: two matching bivalue cells joined by a digit that fits only twice in a unit — cells seeing both lose their other digit.':
+    'W-Wing: dos casillas bivalor iguales unidas por un dígito que cabe solo dos veces en una unidad; las casillas que ven a ambas pierden su otro dígito.',
+  'The pivot {cell} can only be {opts}.': 'El pivote {cell} solo puede ser {opts}.',
+  'It sees two pincers:': 'Ve dos pinzas:',
+  'If the pivot is {d}, {cell} must be {z}.': 'Si el pivote es {d}, {cell} tiene que ser {z}.',
+  'Otherwise the pivot is {z} itself.': 'Si no, el propio pivote es {z}.',
+  'One of the three cells is {z}.': 'Una de las tres casillas es {z}.',
+  'Either way one of the pincers is {z}.': 'En cualquier caso, una de las pinzas es {z}.',
+  'Cells that see the pivot and both pincers: {cells}': 'Casillas que ven el pivote y las dos pinzas: {cells}',
+  'Cells that see both pincers: {cells}': 'Casillas que ven las dos pinzas: {cells}',
+  'XYZ-Wing: a three-candidate pivot and two pincers inside it share one digit — cells seeing all three lose it.':
+    'XYZ-Wing: un pivote de tres candidatos y dos pinzas contenidas en él comparten un dígito; las casillas que ven a las tres lo pierden.',
+  'XY-Wing: a two-candidate pivot sees two pincers that share a third digit — cells seeing both pincers lose it.':
+    'XY-Wing: un pivote de dos candidatos ve dos pinzas que comparten un tercer dígito; las casillas que ven ambas pinzas lo pierden.',
+
+  /* ── Hints: coloring and chains ──────────────── */
+  'Color the {d}s joined by conjugate pairs —\nunits where {d} fits only twice:':
+    'Colorea los {d} unidos por pares conjugados,\nunidades donde el {d} cabe solo dos veces:',
+  'in {unit}': 'en {unit}',
+  'In each pair one cell is {d} and the other is not,\nso either every A cell is {d} or every B cell is.':
+    'En cada par una casilla es {d} y la otra no,\nasí que o todas las casillas A son {d} o lo son todas las B.',
+  '{a} and {b} are both {color} and see each other,\nso they cannot both be {d}: color {color} is wrong.':
+    '{a} y {b} son ambas {color} y se ven,\nasí que no pueden ser {d} las dos: el color {color} es falso.',
+  'These cells see an A cell and a B cell, and one of\nthose is {d}, so they cannot be {d}.':
+    'Estas casillas ven una casilla A y una B, y una de\nellas es {d}, así que no pueden ser {d}.',
+  'Simple Coloring (wrap): when two cells of one color see each other, that color is false — remove the digit from all its cells.':
+    'Simple Coloring (choque): cuando dos casillas del mismo color se ven, ese color es falso; elimina el dígito de todas sus casillas.',
+  'Simple Coloring (trap): a cell that sees both colors of a conjugate-pair chain cannot hold the digit.':
+    'Simple Coloring (trampa): una casilla que ve los dos colores de una cadena de pares conjugados no puede tener el dígito.',
+  '{cell} is {d}': '{cell} es {d}',
+  '{cell} is not {d}': '{cell} no es {d}',
+  "{fact} — the cell's only other candidate": '{fact}: el único otro candidato de la casilla',
+  '{fact} — it already holds {d}': '{fact}: ya tiene el {d}',
+  '{fact} — the only other spot for {d} in {unit}': '{fact}: el único otro hueco para el {d} en {unit}',
+  '{fact} — it sees {cell}': '{fact}: ve a {cell}',
+  'Either {a} or {b}.': 'O {a} o {b}.',
+  'Any cell that sees both cannot be {d}.': 'Ninguna casilla que vea a ambas puede ser {d}.',
+  'So {cell} is {x} or {y}; nothing else fits there.': 'Así que {cell} es {x} o {y}; nada más cabe ahí.',
+  'They see each other, so {a} cannot be {y} and {b} cannot be {x}.':
+    'Se ven entre sí, así que {a} no puede ser {y} y {b} no puede ser {x}.',
+  'Follow this chain:': 'Sigue esta cadena:',
+  'If {fact},': 'Si {fact},',
+  'X-Chain: alternate "only two spots" links and "sees" links for one digit; one end of the chain must hold it.':
+    'X-Chain: alterna enlaces de «solo dos huecos» y de «se ven» para un dígito; uno de los extremos de la cadena debe tenerlo.',
+  'AIC: chain strong links (only two options) and weak links (cannot both be true) across digits; one end of the chain must be true.':
+    'AIC: encadena enlaces fuertes (solo dos opciones) y débiles (no pueden ser ciertas ambas) entre dígitos; uno de los extremos debe ser cierto.',
+
+  /* ── Hints: uniqueness ───────────────────────── */
+  '{floor} hold only {x} and {y}.\nIf {a} were {x} or {y} too, the {x}s and {y}s could\nswap places in the rectangle and the puzzle would have two solutions.\nSo {a} cannot be {x} or {y}.':
+    '{floor} solo tienen {x} y {y}.\nSi {a} también fuera {x} o {y}, los {x} y los {y} podrían\nintercambiarse en el rectángulo y el sudoku tendría dos soluciones.\nAsí que {a} no puede ser {x} ni {y}.',
+  '{floor} hold only {x} and {y};\n{a} and {b} hold {x}, {y} and {z}.\nIf neither were {z}, all four corners would be {x}/{y} and\ncould swap, giving two solutions. So one of them is {z},\nand any cell that sees both cannot be {z}.':
+    '{floor} solo tienen {x} y {y};\n{a} y {b} tienen {x}, {y} y {z}.\nSi ninguna fuera {z}, las cuatro esquinas serían {x}/{y} y\npodrían intercambiarse: dos soluciones. Así que una de ellas es {z},\ny ninguna casilla que vea a ambas puede ser {z}.',
+  '{floor} hold only {x} and {y}, so one of\n{a} and {b} must take one of their other digits.\nTogether they act as one cell in {unit}. With {cells}\nthey lock {digits} into {k} places,\nso no other cell in {unit} can hold those digits.':
+    '{floor} solo tienen {x} y {y}, así que {a} o\n{b} debe llevar uno de sus otros dígitos.\nJuntas actúan como una sola casilla en {unit}. Con {cells}\nfijan {digits} en {k} lugares,\nasí que ninguna otra casilla de {unit} puede tener esos dígitos.',
+  '{floor} hold only {x} and {y}.\nIn {unit}, {d} fits only {a} and {b}, so one of them is {d}.\nIf either were {z}, the other would be {d} and the\nrectangle would be all {x}/{y} — two solutions.\nSo neither can be {z}.':
+    '{floor} solo tienen {x} y {y}.\nEn {unit}, el {d} solo cabe en {a} y {b}, así que una de ellas es {d}.\nSi alguna fuera {z}, la otra sería {d} y el\nrectángulo sería todo {x}/{y}: dos soluciones.\nAsí que ninguna puede ser {z}.',
+  '{cells} form a rectangle\non two rows, two columns and two regions, all holding {x} and {y}.':
+    '{cells} forman un rectángulo\nen dos filas, dos columnas y dos regiones, y todas tienen {x} y {y}.',
+  '{cells} form a rectangle\non two rows, two columns and two boxes, all holding {x} and {y}.':
+    '{cells} forman un rectángulo\nen dos filas, dos columnas y dos cajas, y todas tienen {x} y {y}.',
+  'This relies on the puzzle having exactly one solution.': 'Esto supone que el sudoku tiene exactamente una solución.',
+  'Unique Rectangle: four corners that could swap two digits would mean two solutions — so the extras must break the pattern. Only for puzzles with one solution.':
+    'Unique Rectangle: cuatro esquinas que pudieran intercambiar dos dígitos darían dos soluciones, así que los candidatos extra deben romper el patrón. Solo para sudokus con una solución.',
+  'Every unsolved cell except {cell} has exactly two candidates.\nWithout its extra digit, each digit would appear exactly twice in\nevery unit — a "bivalue universal grave", which has either no\nsolution or two.':
+    'Todas las casillas sin resolver salvo {cell} tienen exactamente dos candidatos.\nSin su dígito extra, cada dígito aparecería exactamente dos veces en\ncada unidad: una «tumba bivalor universal», que no tiene\nsolución o tiene dos.',
+  '{d} is the extra: it appears three times in {unit}.\nSo {cell} must be {d}.':
+    'El {d} es el extra: aparece tres veces en {unit}.\nAsí que {cell} tiene que ser {d}.',
+  'BUG+1: when all unsolved cells but one are bivalue, that cell takes the digit seen three times in its units. Only for puzzles with one solution.':
+    'BUG+1: cuando todas las casillas sin resolver salvo una son bivalor, esa casilla lleva el dígito que aparece tres veces en sus unidades. Solo para sudokus con una solución.',
+
+  /* ── Hints: fallback, notes, refutation ──────── */
+  '{cell} needs an advanced technique.': '{cell} necesita una técnica avanzada.',
+  'Current candidates: {digits}': 'Candidatos actuales: {digits}',
+  'A longer chain of reasoning is needed\nto narrow these down further.':
+    'Hace falta una cadena de razonamiento más larga\npara reducirlos más.',
+  'The correct answer is {d}.\nTap "Place {d}" to continue.': 'La respuesta correcta es {d}.\nPulsa «Colocar {d}» para continuar.',
+  'Chains and other advanced patterns eliminate candidates when fish, wings and chains are not enough. See the Techniques tab.':
+    'Las cadenas y otros patrones avanzados eliminan candidatos cuando los peces, las alas y las cadenas no bastan. Consulta la pestaña Técnicas.',
+  '{d} is already in {unit} at {cell}': 'el {d} ya está en {unit}, en {cell}',
+  '{d} does not fit its cage sum': 'el {d} no encaja en la suma de su jaula',
+  '{cell}: the notes leave out {d}, the digit that belongs here.': '{cell}: las notas omiten el {d}, el dígito que va aquí.',
+  'With those candidates gone:': 'Sin esos candidatos:',
+  'Suppose {d} went in {cell}.': 'Supón que el {d} fuera en {cell}.',
+  '{cell} would have only {d} left.': 'A {cell} solo le quedaría el {d}.',
+  '{d} would fit only {cell} in {unit}.': 'El {d} solo cabría en {cell} dentro de {unit}.',
+  '{technique} would rule out {list}.': '{technique} descartaría {list}.',
+  '{d} at {cell}': 'el {d} en {cell}',
+  'Then {cell} would have no candidate left — impossible.': 'Entonces {cell} se quedaría sin candidatos: imposible.',
+  'Then {d} would have no place in {unit} — impossible.': 'Entonces el {d} no tendría sitio en {unit}: imposible.',
+  'Suppose {d} went in {cell}: {n} step leads to a contradiction, so {d} cannot go there.': {
+    one: 'Supón que el {d} fuera en {cell}: {n} paso lleva a una contradicción, así que el {d} no puede ir ahí.',
+    other: 'Supón que el {d} fuera en {cell}: {n} pasos llevan a una contradicción, así que el {d} no puede ir ahí.' },
+  'The next step is beyond the techniques the tutor knows. Look in {area}.':
+    'El siguiente paso va más allá de las técnicas que conoce el tutor. Mira en {area}.',
+  'The next step is beyond the techniques the tutor knows. Look around.':
+    'El siguiente paso va más allá de las técnicas que conoce el tutor. Busca por el tablero.',
+  "There's an {technique} in {area}.": 'Hay un {technique} en {area}.',
+  "There's a {technique} in {area}.": 'Hay un {technique} en {area}.',
+  "There's an {technique} on the board.": 'Hay un {technique} en el tablero.',
+  "There's a {technique} on the board.": 'Hay un {technique} en el tablero.',
+
+  /* ── Game messages ───────────────────────────── */
+  'Time: {time}  ·  Score: {score}  ·  Mistakes: {mistakes}': 'Tiempo: {time}  ·  Puntos: {score}  ·  Errores: {mistakes}',
+  'Puzzle Complete!': '¡Sudoku completado!',
+  'Solved in {time} with {n} mistake.': {
+    one: 'Resuelto en {time} con {n} error.',
+    other: 'Resuelto en {time} con {n} errores.' },
+  'Daily puzzle for {day} recorded.': 'Sudoku diario del {day} registrado.',
+  'Generating puzzle…': 'Generando sudoku…',
+  '(try {n})': '(intento {n})',
+  'Ready!': '¡Listo!',
+  'No Puzzle This Time': 'Esta vez no hay sudoku',
+  'The generator could not build a {level} puzzle. Try again, or pick another difficulty.':
+    'El generador no pudo crear un sudoku {level}. Vuelve a intentarlo o elige otra dificultad.',
+  '{level} puzzle loaded': 'Sudoku {level} cargado',
+  '(rating {rating} — {hardest}).': '(nivel {rating} — {hardest}).',
+  'Tap a cell to begin, or press "Show Move" for your first hint.':
+    'Toca una casilla para empezar, o pulsa «Ver jugada» para tu primera pista.',
+  'Daily puzzle for {day} loaded — you already solved it in {time}': 'Sudoku diario del {day} cargado; ya lo resolviste en {time}',
+  'Daily puzzle for {day} loaded': 'Sudoku diario del {day} cargado',
+  'Symmetry: {symmetry}': 'Simetría: {symmetry}',
+  'Clues will be scattered freely in new puzzles.': 'Las pistas se repartirán libremente en los sudokus nuevos.',
+  'New puzzles will place their clues with {symmetry} symmetry.\nStart a new game to see it.':
+    'Los sudokus nuevos colocarán sus pistas con simetría {symmetry}.\nEmpieza una partida nueva para verlo.',
+  'Messages, lessons and hints now show in {language}.': 'Los mensajes, las lecciones y las pistas se muestran ahora en {language}.',
+  "Type this cell's given, or Backspace to clear it. Empty cells stay blank.":
+    'Escribe la pista de esta casilla, o pulsa Retroceso para borrarla. Las casillas vacías quedan en blanco.',
+  'Given: {d}': 'Pista: {d}',
+  'This digit is printed in the puzzle — it cannot be changed.\nIt constrains {units}.':
+    'Este dígito viene impreso en el sudoku: no se puede cambiar.\nRestringe {units}.',
+  'Correct: {d}': 'Correcto: {d}',
+  'Wrong: {d}': 'Incorrecto: {d}',
+  '{d} is correctly placed. It locks this digit in {units}.': 'El {d} está bien colocado. Fija este dígito en {units}.',
+  '{d} is not correct here.\nTap Erase (or Backspace) to remove it.': 'El {d} no es correcto aquí.\nPulsa Borrar (o Retroceso) para quitarlo.',
+  'No Valid Candidates!': '¡Sin candidatos válidos!',
+  '{cell} has no legal digit — there is a mistake elsewhere.\nUse Undo to backtrack.':
+    '{cell} no admite ningún dígito: hay un error en otra parte.\nUsa Deshacer para volver atrás.',
+  'Naked Single!': '¡Single desnudo!',
+  'Only {d} can go in {cell}.\nAll other digits are blocked by {units}.\nTap {d} on the number pad to place it.':
+    'Solo el {d} puede ir en {cell}.\nTodos los demás dígitos están bloqueados por {units}.\nPulsa {d} en el teclado numérico para colocarlo.',
+  '{n} Candidates': '{n} candidatos',
+  '{cell} could hold: {digits}': '{cell} podría tener: {digits}',
+  'Tap "Show Move" for a full explanation of the next best move.':
+    'Pulsa «Ver jugada» para una explicación completa de la mejor jugada siguiente.',
+  '{d} Not Valid Here': 'El {d} no vale aquí',
+  '{d} is ruled out by {units}.': 'El {d} está descartado por {units}.',
+  '{cell} in {unit}': '{cell} en {unit}',
+  '{d} Cannot Go Here': 'El {d} no puede ir aquí',
+  'Conflicts with {cells}.': 'Choca con {cells}.',
+  'Step through it below.': 'Recórrelo paso a paso abajo.',
+  'It does not fit the solution — check the cage sum.': 'No encaja con la solución: revisa la suma de la jaula.',
+  'It does not fit the solution.': 'No encaja con la solución.',
+  'Valid candidates: {digits}': 'Candidatos válidos: {digits}',
+  'Penalty: −15 points.': 'Penalización: −15 puntos.',
+  '5+ streak!': '¡Racha de 5+!',
+  '3+ streak!': '¡Racha de 3+!',
+  'Correct!': '¡Correcto!',
+  '{d} placed at {cell}.': '{d} colocado en {cell}.',
+  'Notes Mode ON': 'Modo notas activado',
+  'Normal Mode': 'Modo normal',
+  'Tap a cell then a number to pencil in a candidate. Tap again to erase.':
+    'Toca una casilla y luego un número para anotar un candidato. Tócalo otra vez para borrarlo.',
+  'Tap a cell then a number to place a digit.': 'Toca una casilla y luego un número para colocar un dígito.',
+  'Check ON': 'Comprobación activada',
+  'Check OFF': 'Comprobación desactivada',
+  'Wrong digits highlighted in red instantly.': 'Los dígitos incorrectos se marcan en rojo al instante.',
+  'No instant feedback — you will find out at the end.': 'Sin aviso inmediato: lo sabrás al final.',
+  'Paused': 'En pausa',
+  'Board is hidden. Tap Resume (or P) to continue.': 'El tablero está oculto. Pulsa Reanudar (o P) para continuar.',
+  'Resumed': 'Reanudado',
+  'Good luck!': '¡Suerte!',
+  'Auto Notes Filled': 'Notas automáticas completadas',
+  'Every empty cell now shows its valid candidates.': 'Cada casilla vacía muestra ahora sus candidatos válidos.',
+  'Look for cells with only ONE candidate — those are Naked Singles!': 'Busca casillas con UN solo candidato: ¡son singles desnudos!',
+  'Tap "Show Move" to find the easiest next move.': 'Pulsa «Ver jugada» para encontrar la jugada más fácil.',
+  'Fix Your Notes First': 'Corrige antes tus notas',
+  'Working from your notes leads to a digit the solution does not have, so one of them is wrong. Check My Notes, or let hints use all candidates.':
+    'Partiendo de tus notas se llega a un dígito que la solución no tiene, así que alguna está mal. Usa «Revisar mis notas» o deja que las pistas usen todos los candidatos.',
+  'Hint Withdrawn': 'Pista retirada',
+  'That hint does not match the solution, so nothing was placed. Check your notes and ask again.':
+    'Esa pista no coincide con la solución, así que no se colocó nada. Revisa tus notas y vuelve a pedirla.',
+  'Hints work from your notes, so they would go wrong until these digits are back.':
+    'Las pistas parten de tus notas, así que fallarían hasta que vuelvan estos dígitos.',
+  'Press More for the {level} (−{cost} points).': 'Pulsa Más para ver: {level} (−{cost} puntos).',
+  'Hint cost: −{cost} points.': 'Coste de la pista: −{cost} puntos.',
+  'Look for digit {d}.': 'Busca el dígito {d}.',
+  'The cell is highlighted on the board.': 'La casilla está resaltada en el tablero.',
+  'Hint {k}/{n}': 'Pista {k}/{n}',
+  'Placed {d}': '{d} colocado',
+  '{d} placed at {cell} (+5 points).': '{d} colocado en {cell} (+5 puntos).',
+  '{n} eliminated candidate removed from your notes.': {
+    one: '{n} candidato eliminado se quitó de tus notas.',
+    other: '{n} candidatos eliminados se quitaron de tus notas.' },
+  'No Notes Yet': 'Aún no hay notas',
+  'Pencil in some candidates (✏ or Auto Notes), then check them.': 'Anota algunos candidatos (✏ o Notas automáticas) y luego revísalos.',
+  'Notes Look Good': 'Las notas están bien',
+  'Every noted cell still lists its digit, and no note is ruled out by a placed digit.':
+    'Cada casilla anotada conserva su dígito y ninguna nota está descartada por un dígito colocado.',
+  '{n} Note Problem': {
+    one: '{n} problema en las notas',
+    other: '{n} problemas en las notas' },
+  'A cell missing its digit can never be solved from those notes — add it back.': {
+    one: 'Una casilla a la que le falta su dígito nunca se resolverá con esas notas: vuelve a añadirlo.',
+    other: 'Las casillas a las que les falta su dígito nunca se resolverán con esas notas: vuelve a añadirlos.' },
+  'Hints Use Your Notes': 'Las pistas usan tus notas',
+  'Hints Use All Candidates': 'Las pistas usan todos los candidatos',
+  'Show Move now starts from your pencil marks, so it skips what you have already ruled out.':
+    'Ver jugada parte ahora de tus anotaciones, así que omite lo que ya descartaste.',
+  'Show Move works from every candidate the board allows, ignoring your notes.':
+    'Ver jugada parte de todos los candidatos que permite el tablero, sin tener en cuenta tus notas.',
+  'Step {k}/{n}': 'Paso {k}/{n}',
+  'Welcome Back': '¡Hola de nuevo!',
+  'Your {level} puzzle is where you left it: {time} on the clock, {filled} of {total} cells filled.':
+    'Tu sudoku {level} está como lo dejaste: {time} en el reloj, {filled} de {total} casillas llenas.',
+  'Press Resume (or P) to carry on, or start a new puzzle.': 'Pulsa Reanudar (o P) para seguir, o empieza un sudoku nuevo.',
+  'Walkthrough Closed': 'Recorrido cerrado',
+  'Back to the finished puzzle.': 'De vuelta al sudoku terminado.',
+  'Back to your game — the clock is running again.': 'De vuelta a tu partida: el reloj vuelve a correr.',
+  'Givens clash at {cells} — the same digit appears twice in a row, column or box.':
+    'Las pistas chocan en {cells}: el mismo dígito aparece dos veces en una fila, columna o caja.',
+  'This puzzle has no solution — check the digits you entered.': 'Este sudoku no tiene solución: revisa los dígitos que introdujiste.',
+  'This puzzle has more than one solution, so it cannot be solved by logic alone.':
+    'Este sudoku tiene más de una solución, así que no se puede resolver solo con lógica.',
+  'Only the digits are exported — the {variant} layout is not part of these formats.':
+    'Solo se exportan los dígitos: la disposición {variant} no forma parte de estos formatos.',
+  'Imported puzzle loaded': 'Sudoku importado cargado',
+  'Link copied — anyone who opens it gets this grid.': 'Enlace copiado: quien lo abra obtendrá esta cuadrícula.',
+  'Shared puzzle loaded': 'Sudoku compartido cargado',
+  'Link not loaded: {error}\nEasy puzzle loaded instead': 'No se cargó el enlace: {error}\nSe cargó un sudoku fácil en su lugar',
+  'Enter Puzzle': 'Introducir sudoku',
+  'Type the givens onto the empty {n}×{n} board — each digit moves you to the next cell.\nClashing givens are highlighted as you type. Press Start when every given is in.':
+    'Escribe las pistas en el tablero vacío de {n}×{n}: cada dígito te lleva a la casilla siguiente.\nLas pistas que chocan se resaltan al escribir. Pulsa Empezar cuando estén todas.',
+  '{d} Clashes': 'El {d} choca',
+  '{d} at {cell} repeats {cells}.\nCheck the book — one of these givens was copied wrong.':
+    'El {d} en {cell} repite {cells}.\nRevisa el libro: una de estas pistas se copió mal.',
+  '{n} given entered. Press Start when done.': {
+    one: '{n} pista introducida. Pulsa Empezar cuando termines.',
+    other: '{n} pistas introducidas. Pulsa Empezar cuando termines.' },
+  'Your puzzle is ready': 'Tu sudoku está listo',
+  'Cannot Start Yet': 'Aún no se puede empezar',
+  'Fix the highlighted cells, then press Start again.': 'Corrige las casillas resaltadas y vuelve a pulsar Empezar.',
+  '{n} given leaves several ways to finish the grid — a given is probably missing.': {
+    one: '{n} pista deja varias formas de completar la cuadrícula: probablemente falta una pista.',
+    other: '{n} pistas dejan varias formas de completar la cuadrícula: probablemente falta una pista.' },
+  'The givens do not clash directly, yet no grid completes them — look for a digit copied into the wrong cell.':
+    'Las pistas no chocan directamente, pero ninguna cuadrícula las completa: busca un dígito copiado en la casilla equivocada.',
+
+  /* ── Variants ────────────────────────────────── */
+  'Every row, column and box holds each digit once.': 'Cada fila, columna y caja contiene cada dígito una vez.',
+  'Rows, columns, boxes AND both long diagonals hold each digit once.':
+    'Las filas, columnas, cajas Y las dos diagonales largas contienen cada dígito una vez.',
+  'Rows, columns and the irregular regions hold each digit once.':
+    'Las filas, columnas y regiones irregulares contienen cada dígito una vez.',
+  'Rows, columns and boxes hold 1-9 once; each dashed cage adds up to its sum with no repeats.':
+    'Las filas, columnas y cajas contienen 1-9 una vez; cada jaula punteada suma su total sin repetir dígitos.',
+
+  /* ── Toolbar and tooltips ────────────────────── */
+  '{level} — hardest technique: {names}.': '{level}: técnica más difícil: {names}.',
+  'This puzzle: {hardest} · rating {rating} · {n} clues.': 'Este sudoku: {hardest} · nivel {rating} · {n} pistas.',
+  'Daily Puzzle — the same {level} grid for everyone today.': 'Sudoku diario: la misma cuadrícula de nivel {level} para todos hoy.',
+  'Solved today in {time} ✓': 'Resuelto hoy en {time} ✓',
+  'Not solved yet today.': 'Aún no resuelto hoy.',
+  'Daily puzzles completed: {n}': 'Sudokus diarios completados: {n}',
+  'Clue layout for new puzzles: {symmetry}. Click to change.': 'Disposición de pistas en sudokus nuevos: {symmetry}. Haz clic para cambiarla.',
+  'This puzzle: {symmetry} (daily puzzles are always rotational).': 'Este sudoku: {symmetry} (los diarios son siempre rotacionales).',
+  'This puzzle: {symmetry}.': 'Este sudoku: {symmetry}.',
+  'Board size: {n}×{n}.': 'Tamaño del tablero: {n}×{n}.',
+  'Digits run 0-9 then A-F (keys 0-9, A-F).': 'Los dígitos van de 0-9 y luego A-F (teclas 0-9, A-F).',
+  'Digits 1-{n}.': 'Dígitos 1-{n}.',
+  'Click to switch size and start a new puzzle.': 'Haz clic para cambiar de tamaño y empezar un sudoku nuevo.',
+  'Variant: {variant}.': 'Variante: {variant}.',
+  'Click to switch variant and start a new puzzle.': 'Haz clic para cambiar de variante y empezar un sudoku nuevo.',
+  'Type in a puzzle from a book or newspaper and get tutoring on it.':
+    'Escribe un sudoku de un libro o periódico y recibe tutoría sobre él.',
+  'Mistakes (each costs 15 points)': 'Errores (cada uno cuesta 15 puntos)',
+  'Score: +10 per cell, +25 for 5+ streak': 'Puntos: +10 por casilla, +25 con racha de 5+',
+  '{n} in a row — bonus active!': '{n} seguidos: ¡bonificación activa!',
+  'Time elapsed': 'Tiempo transcurrido',
+  '{filled} of {total} cells solved ({pct}%)': '{filled} de {total} casillas resueltas ({pct}%)',
+  'Game is paused': 'Partida en pausa',
+  'Given: {d} (Backspace to clear)': 'Pista: {d} (Retroceso para borrarla)',
+  'Given: {d} (locked)': 'Pista: {d} (fija)',
+  '✓ Correct: {d}': '✓ Correcto: {d}',
+  '✗ Wrong: {d}': '✗ Incorrecto: {d}',
+  'Would be {d}': 'Sería {d}',
+  'Place {d} here!': '¡Coloca aquí el {d}!',
+  'Candidates: {digits}': 'Candidatos: {digits}',
+  'Show this puzzle as {format}': 'Mostrar este sudoku como {format}',
+  '{d} — all {n} placed ✓': '{d}: los {n} colocados ✓',
+  'Place {d} — {k}/{n} placed (Keyboard: {d})': 'Colocar {d}: {k}/{n} colocados (teclado: {d})',
+  '✏ Notes ON': '✏ Notas: sí',
+  '✏ Notes': '✏ Notas',
+  'Notes ON — tap a number to pencil in a candidate. Tap again to remove.':
+    'Notas activadas: pulsa un número para anotar un candidato. Púlsalo otra vez para quitarlo.',
+  'Notes OFF — click to enable pencil-note mode. (Keyboard: N)': 'Notas desactivadas: haz clic para activar el modo notas. (Teclado: N)',
+  '✕ Erase': '✕ Borrar',
+  'Clear the selected cell — removes a digit or all notes. (Keyboard: Backspace)':
+    'Vacía la casilla seleccionada: quita un dígito o todas las notas. (Teclado: Retroceso)',
+  '↩ Undo': '↩ Deshacer',
+  'Undo the last move and everything it changed — notes, score and streak too. (Keyboard: Ctrl+Z)':
+    'Deshace la última jugada y todo lo que cambió, también notas, puntos y racha. (Teclado: Ctrl+Z)',
+  '↪ Redo': '↪ Rehacer',
+  'Redo the last undone move. (Keyboard: Ctrl+Shift+Z or Ctrl+Y)': 'Rehace la última jugada deshecha. (Teclado: Ctrl+Mayús+Z o Ctrl+Y)',
+  '📝 Auto': '📝 Auto',
+  'Fill all empty cells with their current valid candidates.': 'Rellena todas las casillas vacías con sus candidatos válidos actuales.',
+  '✓ Check ON': '✓ Comprobar: sí',
+  '✓ Check OFF': '✓ Comprobar: no',
+  'Instant feedback ON — wrong digits shown in red. Click to turn off.':
+    'Aviso inmediato activado: los dígitos incorrectos se ven en rojo. Haz clic para desactivarlo.',
+  'Instant feedback OFF — click to turn on.': 'Aviso inmediato desactivado: haz clic para activarlo.',
+  '🔊 Sound': '🔊 Sonido',
+  '🔇 Mute': '🔇 Silencio',
+  'Sound ON — click to mute.': 'Sonido activado: haz clic para silenciar.',
+  'Sound OFF — click to enable.': 'Sonido desactivado: haz clic para activarlo.',
+  '▶ Resume': '▶ Reanudar',
+  '⏸ Pause': '⏸ Pausa',
+  'Resume the game. (Keyboard: P)': 'Reanuda la partida. (Teclado: P)',
+  'Pause and hide the board. (Keyboard: P)': 'Pausa y oculta el tablero. (Teclado: P)',
+  '⇄ Share': '⇄ Compartir',
+  'Export this puzzle, copy a shareable link, or import one from a book or another app.':
+    'Exporta este sudoku, copia un enlace para compartirlo o importa uno de un libro u otra aplicación.',
+  '⚡ Strict': '⚡ Estricto',
+  '☁ Relaxed': '☁ Relajado',
+  'Strict mode: banner appears after 3 mistakes. Click for relaxed play.':
+    'Modo estricto: aparece un aviso tras 3 errores. Haz clic para jugar relajado.',
+  'Relaxed mode: no interruptions. Click for strict mode.': 'Modo relajado: sin interrupciones. Haz clic para el modo estricto.',
+
+  /* ── Tutor panel ─────────────────────────────── */
+  '💡 Tutor': '💡 Tutor',
+  'Real-time hints and explanations.': 'Pistas y explicaciones en tiempo real.',
+  '📖 Lessons': '📖 Lecciones',
+  'Structured learning path.': 'Itinerario de aprendizaje.',
+  '🧩 Techniques': '🧩 Técnicas',
+  'Solving technique reference.': 'Referencia de técnicas de resolución.',
+  'Puzzle Info': 'Información del sudoku',
+  'Givens': 'Pistas',
+  'Solutions': 'Soluciones',
+  'exactly one': 'exactamente una',
+  'more than one': 'más de una',
+  'Minimal': 'Mínimo',
+  'yes — every given is needed': 'sí: todas las pistas son necesarias',
+  'no — {n} given could be removed': {
+    one: 'no: se podría quitar {n} pista',
+    other: 'no: se podrían quitar {n} pistas' },
+  'Rating': 'Nivel',
+  'Logical solve': 'Resolución lógica',
+  'complete': 'completa',
+  'needs techniques beyond the Tutor': 'necesita técnicas que el Tutor no conoce',
+  'Check the {n} given for a single solution and start the clock.': {
+    one: 'Comprueba que la {n} pista tiene una única solución y pone en marcha el reloj.',
+    other: 'Comprueba que las {n} pistas tienen una única solución y pone en marcha el reloj.' },
+  'Start': 'Empezar',
+  'Discard these givens and go back to a generated puzzle.': 'Descarta estas pistas y vuelve a un sudoku generado.',
+  'Cancel': 'Cancelar',
+  'Resume': 'Reanudar',
+  'Set the saved game aside and start a new {level} puzzle.': 'Deja a un lado la partida guardada y empieza un sudoku {level} nuevo.',
+  'New Puzzle': 'Sudoku nuevo',
+  'Step back (←).': 'Paso atrás (←).',
+  'Back': 'Atrás',
+  'Step forward (→).': 'Paso adelante (→).',
+  'Next': 'Siguiente',
+  'Leave the walkthrough (Esc).': 'Sal del recorrido (Esc).',
+  'Close': 'Cerrar',
+  'Timeline': 'Línea de tiempo',
+  'Removes {n} candidate': {
+    one: 'Elimina {n} candidato',
+    other: 'Elimina {n} candidatos' },
+  'Show the previous step on the board.': 'Muestra el paso anterior en el tablero.',
+  'Show the next step on the board.': 'Muestra el paso siguiente en el tablero.',
+  'Reveal the {level} (−{cost} points).': 'Revela: {level} (−{cost} puntos).',
+  'Find the easiest move and reveal it step by step: nudge, digit, cell, answer.':
+    'Encuentra la jugada más fácil y la revela paso a paso: pista, dígito, casilla, respuesta.',
+  'More ({k}/{n})': 'Más ({k}/{n})',
+  'Show Move': 'Ver jugada',
+  'Givens, uniqueness, minimality and the techniques a logical solve needs.':
+    'Pistas, unicidad, minimalidad y las técnicas que necesita una resolución lógica.',
+  "Find notes that leave out a cell's digit or still hold one a placed digit rules out.":
+    'Encuentra notas que omiten el dígito de una casilla o conservan uno que un dígito colocado descarta.',
+  'Check My Notes': 'Revisar mis notas',
+  'When on, Show Move starts from your pencil marks instead of every candidate.':
+    'Si está activo, Ver jugada parte de tus anotaciones en lugar de todos los candidatos.',
+  'Hints From Notes': 'Pistas desde mis notas',
+  'Replay the logical solve from the givens to the end, one step at a time.':
+    'Repite la resolución lógica desde las pistas hasta el final, paso a paso.',
+  'Replay the logical solve from here to the end, one step at a time.':
+    'Repite la resolución lógica desde aquí hasta el final, paso a paso.',
+  'Walk Me Through It': 'Guíame paso a paso',
+  'Remove the eliminated candidates from your notes and place {d} at {cell} automatically.':
+    'Quita de tus notas los candidatos eliminados y coloca el {d} en {cell} automáticamente.',
+  'Place {d} at {cell} automatically.': 'Coloca el {d} en {cell} automáticamente.',
+  'Place {d}': 'Colocar {d}',
+  'Clear the highlight and return to normal view.': 'Quita el resaltado y vuelve a la vista normal.',
+  'Clear': 'Limpiar',
+  'Techniques Used This Puzzle': 'Técnicas usadas en este sudoku',
+  '{n} level': {
+    one: '{n} nivel',
+    other: '{n} niveles' },
+
+  /* ── Lessons ─────────────────────────────────── */
+  'Learning Path': 'Itinerario de aprendizaje',
+  'Expand lesson {n}': 'Abrir la lección {n}',
+  'Try:': 'Prueba:',
+  'Advanced Lessons': 'Lecciones avanzadas',
+  'Unlock Naked Pairs, X-Wings, XY-Wings and more.': 'Desbloquea Naked Pairs, X-Wings, XY-Wings y más.',
+  'Upgrade for advanced lessons': 'Mejora para obtener lecciones avanzadas',
+  'Upgrade to Pro': 'Pásate a Pro',
+  'The Rules': 'Las reglas',
+  'Every row, column, and 3×3 box must contain 1-9 exactly once. No repeats.':
+    'Cada fila, columna y caja de 3×3 debe contener 1-9 exactamente una vez. Sin repeticiones.',
+  'Start Easy. Tap a cell — the Tutor shows its candidates.': 'Empieza en Fácil. Toca una casilla: el Tutor muestra sus candidatos.',
+  'Scanning': 'Barrido',
+  'Pick a digit that appears often. Trace its row and column to find where it must go in each box.':
+    'Elige un dígito que aparezca a menudo. Sigue su fila y su columna para ver dónde debe ir en cada caja.',
+  'Find the digit closest to 9/9 — very few cells can hold it.': 'Busca el dígito más cerca de 9/9: muy pocas casillas pueden tenerlo.',
+  'Naked Singles': 'Singles desnudos',
+  'A cell where 8 digits are blocked by its row, column, and box — only one candidate left.':
+    'Una casilla donde su fila, columna y caja bloquean 8 dígitos: solo queda un candidato.',
+  'Tap Auto Notes, then look for cells with a single pencil digit.': 'Pulsa Notas automáticas y busca casillas con un solo dígito anotado.',
+  'Hidden Singles': 'Singles ocultos',
+  'A digit that fits only one cell in a unit, even if that cell has other candidates.':
+    'Un dígito que cabe en una sola casilla de una unidad, aunque esa casilla tenga otros candidatos.',
+  'Tap Show Move — the Tutor explains every Hidden Single it finds.': 'Pulsa Ver jugada: el Tutor explica cada single oculto que encuentra.',
+  'Notes Mastery': 'Dominio de las notas',
+  'Keep pencil notes current. Place a digit → erase it from all peers. Auto Notes and auto-clear do this for you.':
+    'Mantén las notas al día. Coloca un dígito → bórralo de todas sus casillas relacionadas. Las notas automáticas y el borrado automático lo hacen por ti.',
+  'Enable Notes (✏), tap Auto Notes to start with a full candidate map.':
+    'Activa Notas (✏) y pulsa Notas automáticas para empezar con el mapa completo de candidatos.',
+  'Wings': 'Alas',
+  'Cells with just two candidates can force a digit into one of a few cells. Any cell that sees all of them cannot hold that digit.':
+    'Las casillas con solo dos candidatos pueden obligar a un dígito a ir en una de unas pocas casillas. Ninguna casilla que las vea a todas puede tener ese dígito.',
+  'On a hard puzzle, look for a pair cell whose peers hold its two digits plus one shared extra.':
+    'En un sudoku difícil, busca una casilla par cuyas relacionadas tengan sus dos dígitos más un extra compartido.',
+
+  /* ── Technique library ───────────────────────── */
+  'Technique Library': 'Biblioteca de técnicas',
+  '{level} technique': 'Técnica de nivel {level}',
+  'How to use': 'Cómo usarla',
+  'Example': 'Ejemplo',
+  'Interactive practice in Pro': 'Práctica interactiva en Pro',
+  'Only one candidate left in a cell.': 'Solo queda un candidato en una casilla.',
+  'Check row, col, box. If 8 digits taken, the last one is the answer.':
+    'Revisa fila, columna y caja. Si hay 8 dígitos ocupados, el que falta es la respuesta.',
+  'Row has 1-8 → cell must be 9.': 'La fila tiene 1-8 → la casilla debe ser 9.',
+  'A digit fits only one cell within a unit.': 'Un dígito cabe en una sola casilla de una unidad.',
+  'Pick a missing digit. Scan the unit — if it fits only one cell, place it.':
+    'Elige un dígito que falte. Recorre la unidad: si cabe en una sola casilla, colócalo.',
+  '7 is blocked from 8 cells in a row — only one remains.': 'El 7 está bloqueado en 8 casillas de una fila: solo queda una.',
+  'Two cells share the same two candidates — those digits are locked to those cells.':
+    'Dos casillas comparten los mismos dos candidatos: esos dígitos quedan fijados en ellas.',
+  'Find matching pairs. Remove both digits from all other cells in the unit.':
+    'Busca pares iguales. Quita ambos dígitos de todas las demás casillas de la unidad.',
+  'Two cells show {3,7} → remove 3 and 7 from the rest of the row.': 'Dos casillas muestran {3,7} → quita 3 y 7 del resto de la fila.',
+  'Two digits fit in only the same two cells of a unit — those cells hold nothing else.':
+    'Dos dígitos caben solo en las mismas dos casillas de una unidad: esas casillas no tienen nada más.',
+  'Find two digits with the same two spots in a unit. Clear every other candidate from those cells.':
+    'Busca dos dígitos con los mismos dos huecos en una unidad. Quita todos los demás candidatos de esas casillas.',
+  '3 and 7 only fit R1C2 and R1C5 → remove 1, 4, 9 from both cells.': '3 y 7 solo caben en R1C2 y R1C5 → quita 1, 4, 9 de ambas casillas.',
+  'A digit in a box is restricted to one row or column — eliminate it from that line outside the box.':
+    'Un dígito de una caja está limitado a una fila o columna: elimínalo de esa línea fuera de la caja.',
+  'If a digit only fits in one row within a box, remove it from that row in other boxes.':
+    'Si un dígito solo cabe en una fila dentro de una caja, quítalo de esa fila en las demás cajas.',
+  '5 only in row 2 of box 1 → remove 5 from row 2 in boxes 2 and 3.': '5 solo en la fila 2 de la caja 1 → quita el 5 de la fila 2 en las cajas 2 y 3.',
+  'A digit in a row or column is restricted to one box — eliminate it from the rest of that box.':
+    'Un dígito de una fila o columna está limitado a una caja: elimínalo del resto de esa caja.',
+  'If a digit only fits inside one box along a row, remove it from the other rows of that box.':
+    'Si un dígito solo cabe dentro de una caja a lo largo de una fila, quítalo de las demás filas de esa caja.',
+  '8 in row 4 only in box 5 → remove 8 from rows 5 and 6 of box 5.': '8 en la fila 4 solo en la caja 5 → quita el 8 de las filas 5 y 6 de la caja 5.',
+  'A digit in exactly 2 cells of 2 rows forms a rectangle — eliminate it from those columns.':
+    'Un dígito en exactamente 2 casillas de 2 filas forma un rectángulo: elimínalo de esas columnas.',
+  'Find the digit in 2 cells per row across 2 rows, same columns. Remove from those columns elsewhere.':
+    'Busca el dígito en 2 casillas por fila en 2 filas, en las mismas columnas. Quítalo del resto de esas columnas.',
+  '4 in cols 2 & 7 of rows 3 & 8 → remove 4 from cols 2 & 7 everywhere else.':
+    '4 en las columnas 2 y 7 de las filas 3 y 8 → quita el 4 del resto de las columnas 2 y 7.',
+  'An X-Wing across 3 rows and 3 columns. Jellyfish is the same with 4.': 'Un X-Wing con 3 filas y 3 columnas. Jellyfish es lo mismo con 4.',
+  'Find 3 rows where a digit fits only inside the same 3 columns. Remove it from those columns elsewhere.':
+    'Busca 3 filas donde un dígito solo cabe dentro de las mismas 3 columnas. Quítalo del resto de esas columnas.',
+  '6 in rows 1, 5, 9 only in cols 2, 4, 8 → remove 6 from cols 2, 4, 8 in other rows.':
+    '6 en las filas 1, 5, 9 solo en las columnas 2, 4, 8 → quita el 6 de las columnas 2, 4, 8 en otras filas.',
+  'A fish with extra spots (fins) in one box. Either the fish holds or a fin does.':
+    'Un pez con huecos de más (aletas) en una caja. O se cumple el pez o lo hace una aleta.',
+  'Eliminate only from cover cells that also see every fin — the ones inside the fin box.':
+    'Elimina solo de las casillas de cobertura que además ven todas las aletas: las que están en la caja de la aleta.',
+  'X-Wing on 3 with a fin in box 3 → remove 3 from the cover column cells in box 3.':
+    'X-Wing del 3 con una aleta en la caja 3 → quita el 3 de las casillas de la columna de cobertura en la caja 3.',
+  'A pivot {X,Y} sees two pincers {X,Z} and {Y,Z}. Whatever the pivot is, one pincer is Z.':
+    'Un pivote {X,Y} ve dos pinzas {X,Z} e {Y,Z}. Sea cual sea el pivote, una pinza es Z.',
+  'Find a two-candidate pivot and two pincers that share its digits and a third one. Remove Z from cells seeing both pincers.':
+    'Busca un pivote de dos candidatos y dos pinzas que comparten sus dígitos y un tercero. Quita Z de las casillas que ven ambas pinzas.',
+  'Pivot {4,5}, pincers {4,9} and {5,9} → no cell seeing both pincers can be 9.':
+    'Pivote {4,5}, pinzas {4,9} y {5,9} → ninguna casilla que vea ambas pinzas puede ser 9.',
+  'Like an XY-Wing, but the pivot holds Z too: {X,Y,Z}. One of the three cells is Z.':
+    'Como un XY-Wing, pero el pivote también tiene Z: {X,Y,Z}. Una de las tres casillas es Z.',
+  'Remove Z only from cells that see the pivot and both pincers.': 'Quita Z solo de las casillas que ven el pivote y las dos pinzas.',
+  'Pivot {3,4,6}, pincers {3,6} and {4,6} in the same box and column → the cell seeing all three loses 6.':
+    'Pivote {3,4,6}, pinzas {3,6} y {4,6} en la misma caja y columna → la casilla que ve a las tres pierde el 6.',
+  'Two {X,Y} cells that do not see each other, joined by a unit where X fits only twice. One of them is Y.':
+    'Dos casillas {X,Y} que no se ven, unidas por una unidad donde X cabe solo dos veces. Una de ellas es Y.',
+  "Check that each of the unit's two X spots sees one of the cells. Remove Y from cells seeing both.":
+    'Comprueba que cada uno de los dos huecos de X de la unidad ve una de las casillas. Quita Y de las casillas que ven a ambas.',
+  'R1C9 and R2C1 are {3,6}; 3 in row 3 fits only R3C1 and R3C9 → cells seeing both lose 6.':
+    'R1C9 y R2C1 son {3,6}; el 3 en la fila 3 solo cabe en R3C1 y R3C9 → las casillas que ven a ambas pierden el 6.',
+  "Join a digit's conjugate pairs (units where it fits twice) and color them A and B. One color holds the digit.":
+    'Une los pares conjugados de un dígito (unidades donde cabe dos veces) y coloréalos A y B. Un color tiene el dígito.',
+  'Two cells of one color that see each other → that color loses the digit. A cell seeing both colors loses it too.':
+    'Dos casillas del mismo color que se ven → ese color pierde el dígito. Una casilla que ve ambos colores también lo pierde.',
+  '5: R3C5 (A) = R4C5 (B) = R4C8 (A) = R6C7 (B) → R3C7 sees A and B, so it is not 5.':
+    '5: R3C5 (A) = R4C5 (B) = R4C8 (A) = R6C7 (B) → R3C7 ve A y B, así que no es 5.',
+  'One digit, alternating "only two spots" and "sees" links. One end of the chain holds the digit.':
+    'Un dígito, alternando enlaces de «solo dos huecos» y de «se ven». Un extremo de la cadena tiene el dígito.',
+  'Start and end on an "only two spots" link. Cells that see both ends lose the digit.':
+    'Empieza y termina con un enlace de «solo dos huecos». Las casillas que ven ambos extremos pierden el dígito.',
+  'If R6C4 is not 4, R6C2 is 4, so R5C1 is not, so R9C1 is 4 → cells seeing R6C4 and R9C1 lose 4.':
+    'Si R6C4 no es 4, R6C2 es 4, así que R5C1 no lo es, así que R9C1 es 4 → las casillas que ven R6C4 y R9C1 pierden el 4.',
+  'Alternating Inference Chain: like an X-Chain, but links may switch digits inside a two-candidate cell.':
+    'Cadena de inferencia alterna: como un X-Chain, pero los enlaces pueden cambiar de dígito dentro de una casilla de dos candidatos.',
+  'Follow "if not this, then that" step by step. One end must be true — remove what contradicts both.':
+    'Sigue «si no es esto, entonces aquello» paso a paso. Un extremo debe ser cierto: quita lo que contradice a ambos.',
+  'If R2C3 is not 9 … so R3C1 is 9 → R3C3, seeing both, cannot be 9.': 'Si R2C3 no es 9 … así que R3C1 es 9 → R3C3, que ve a ambas, no puede ser 9.',
+  'Four corners on two rows, columns and boxes that could swap two digits would give two solutions. Only for puzzles with one solution.':
+    'Cuatro esquinas en dos filas, columnas y cajas que pudieran intercambiar dos dígitos darían dos soluciones. Solo para sudokus con una solución.',
+  'Find four corners sharing {X,Y}. The extra candidates must break the pattern: keep one, lock them with a pair, or strip X or Y.':
+    'Busca cuatro esquinas que comparten {X,Y}. Los candidatos extra deben romper el patrón: conserva uno, fíjalos con un par o quita X o Y.',
+  'Three corners are {6,8}, the fourth {2,6,8} → the fourth must be 2.': 'Tres esquinas son {6,8} y la cuarta {2,6,8} → la cuarta debe ser 2.',
+  'Every unsolved cell has two candidates except one. That grid would be deadly, so the odd cell breaks it. Only for puzzles with one solution.':
+    'Todas las casillas sin resolver tienen dos candidatos salvo una. Esa cuadrícula sería mortal, así que la casilla distinta la rompe. Solo para sudokus con una solución.',
+  'In the three-candidate cell, find the digit that appears three times in its row, column or box. Place it.':
+    'En la casilla de tres candidatos, busca el dígito que aparece tres veces en su fila, columna o caja. Colócalo.',
+  'R3C2 is {5,7,8}; 7 appears three times in row 3 → R3C2 is 7.': 'R3C2 es {5,7,8}; el 7 aparece tres veces en la fila 3 → R3C2 es 7.',
+
+  /* ── Import / export ─────────────────────────── */
+  'Line (one char per cell)': 'Línea (un carácter por casilla)',
+  'SadMan .sdk': 'SadMan .sdk',
+  'Simple Sudoku .ss': 'Simple Sudoku .ss',
+  'Extended (with progress)': 'Extendido (con progreso)',
+  'A puzzle needs 16, 36, 81 or 256 cells — found {n}.': 'Un sudoku necesita 16, 36, 81 o 256 casillas; hay {n}.',
+  'Unexpected character "{ch}" in a {n}×{n} puzzle.': 'Carácter inesperado «{ch}» en un sudoku de {n}×{n}.',
+  'Progress grid is a different size from the puzzle.': 'La cuadrícula de progreso tiene un tamaño distinto del sudoku.',
+  'Extended notes need {need} fields — found {n}.': 'Las notas extendidas necesitan {need} campos; hay {n}.',
+  'Progress changes the given at {cell}.': 'El progreso cambia la pista de {cell}.',
+  'Bad notes "{notes}" at {cell}.': 'Notas no válidas «{notes}» en {cell}.',
+  'Paste a puzzle first.': 'Pega antes un sudoku.',
+
+  /* ── Page ────────────────────────────────────── */
+  'ALL APPS': 'TODAS LAS APPS',
+  'Course': 'Curso',
+  'Helper': 'Ayudante',
+  'Learn Free': 'Aprende gratis',
+  'Learn · Solve · Master': 'Aprende · Resuelve · Domina',
+  'Learn solving techniques while you play': 'Aprende técnicas de resolución mientras juegas',
+  '📖 Learn the techniques →': '📖 Aprende las técnicas →',
+  'Language': 'Idioma',
+  'Difficulty selector': 'Selector de dificultad',
+  'Game stats': 'Estadísticas de la partida',
+  'Puzzle completion': 'Progreso del sudoku',
+  'Sudoku board': 'Tablero de sudoku',
+  'Game actions': 'Acciones de juego',
+  'Number pad': 'Teclado numérico',
+  'Teaching panel': 'Panel de enseñanza',
+  'Puzzle complete': 'Sudoku completado',
+  'Play Again': 'Jugar otra vez',
+  'Start a new puzzle at the same difficulty level': 'Empieza un sudoku nuevo con la misma dificultad',
+  'Next →': 'Siguiente →',
+  'Advance to the next difficulty level': 'Pasa al siguiente nivel de dificultad',
+  'Review': 'Repasar',
+  'Replay the logical solve from the givens, step by step': 'Repite la resolución lógica desde las pistas, paso a paso',
+  'Import or export puzzle': 'Importar o exportar sudoku',
+  'Share Puzzle': 'Compartir sudoku',
+  'Puzzle format': 'Formato del sudoku',
+  'Copy this text, or paste a puzzle here and press Load': 'Copia este texto, o pega aquí un sudoku y pulsa Cargar',
+  'Load': 'Cargar',
+  'Load the puzzle in the box above': 'Carga el sudoku del cuadro de arriba',
+  'Copy Link': 'Copiar enlace',
+  'Copy a link that opens this exact grid': 'Copia un enlace que abre esta misma cuadrícula',
+  'Close without changing the game': 'Cierra sin cambiar la partida',
+  'Dismiss': 'Descartar',
+  'Everyone gets stuck.': 'Todo el mundo se atasca.',
+  'The course shows you exactly why — and fixes it in six chapters.': 'El curso te muestra exactamente por qué, y lo resuelve en seis capítulos.',
+  'Free · No signup required': 'Gratis · Sin registro',
+  'Open the Course →': 'Abrir el curso →',
+  'Share these tools': 'Comparte estas herramientas',
+  'Give feedback': 'Danos tu opinión',
+  'Rate SudokuLab · Tutor': 'Valora SudokuLab · Tutor',
+  'Any suggestions? (optional)': '¿Alguna sugerencia? (opcional)',
+  'Send Feedback →': 'Enviar opinión →',
+  'Please select a star rating first.': 'Elige antes una valoración con estrellas.',
+  '✓ Thanks — your feedback helps improve the tool': '✓ Gracias: tu opinión ayuda a mejorar la herramienta'
+});
@@ -0,0 +1,136 @@
+/*
+  ═══════════════════════════════════════════════════
+  I18N.JS — Message Catalog
+  ═══════════════════════════════════════════════════
+  Every player-facing string goes through I18n.t(). The
+  English text is its own key, so the code reads as it
+  always did and a missing translation falls back to
+  English.
+
+  MESSAGES
+    t('Where can {d} go in {unit}?', { d: 7, unit })
+      {name} is replaced by params.name.
+    t(['{n} mistake', '{n} mistakes'], { n })
+      A pair is a plural. English picks one or the other
+      by n; a catalog entry, keyed by the first form,
+      holds one string per plural category of its
+      language ({ one, many, other }), chosen with
+      Intl.PluralRules.
+  Cell references (R1C1) and technique names are never
+  translated, so they read the same in every language.
+
+  LANGUAGE
+    The saved choice ('sudokulab-lang'), else the first
+    navigator.languages entry with a catalog, else English.
+    Workers have no localStorage and use the browser's.
+
+  CATALOGS
+    i18n-es.js — Spanish. Another language is one more file:
+      I18n.add('pt', 'Português', { 'English text': '…' })
+    loaded after this one.
+
+  DEPENDS ON: nothing (worker-safe; apply() is the only
+  part that touches the DOM)
+
+  PUBLIC API
+    I18n.t(msg, params?)           → string in the active language
+    I18n.unit(u)                   → an Engine unit's label, e.g. "row 3"
+    I18n.list(items, word?)        → "a, b and c" ('and' or 'or')
+    I18n.lang()                    → active language code
+    I18n.languages()               → [{ code, name }, ...]
+    I18n.setLang(code)             — switch and remember the choice
+    I18n.add(code, name, messages) — register a catalog
+    I18n.apply(root?)              — translate static markup: elements
+                                     marked data-i18n (text), data-i18n-title,
+                                     data-i18n-placeholder, data-i18n-aria
+  ═══════════════════════════════════════════════════
+*/
+const I18n = (function () {
+
+  const PREF = 'sudokulab-lang';
+
+  const catalogs = { en: {} };
+  const names    = { en: 'English' };
+  let lang   = null;   /* worked out on first use, after every catalog loaded */
+  let plural = null;   /* Intl.PluralRules of the active language */
+
+  function detect() {
+    let saved = null;
+    try { saved = localStorage.getItem(PREF); } catch (e) { /* worker or blocked storage */ }
+    if (saved && catalogs[saved]) return saved;
+    const wanted = typeof navigator === 'undefined' ? []
+      : navigator.languages || [navigator.language || ''];
+    for (const code of wanted) {
+      const base = String(code).toLowerCase().split('-')[0];
+      if (catalogs[base]) return base;
+    }
+    return 'en';
+  }
+
+  function active() {
+    if (!lang) { lang = detect(); plural = new Intl.PluralRules(lang); }
+    return lang;
+  }
+
+  /* ── Messages ────────────────────────────────── */
+  function t(msg, params = {}) {
+    const code = active();
+    let out;
+    if (Array.isArray(msg)) {
+      const entry = catalogs[code][msg[0]];
+      out = entry ? entry[plural.select(params.n)] || entry.other
+                  : msg[params.n === 1 ? 0 : 1];
+    } else {
+      out = catalogs[code][msg] || msg;
+    }
+    return out.replace(/\{(\w+)\}/g, (m, k) => k in params ? params[k] : m);
+  }
+
+  /* Engine labels stay English; this is what the player reads */
+  function unit(u) {
+    if (u.type === 'diag') return u.idx ? t('the ↙ diagonal') : t('the ↘ diagonal');
+    const n = u.idx + 1;
+    if (u.type === 'row') return t('row {n}', { n });
+    if (u.type === 'col') return t('col {n}', { n });
+    return u.name === 'Region' ? t('region {n}', { n }) : t('box {n}', { n });
+  }
+
+  const list = (items, word = 'and') => items.length < 2 ? `${items[0]}`
+    : items.slice(0, -1).join(', ') + ` ${t(word)} ` + items[items.length - 1];
+
+  /* ── Languages ───────────────────────────────── */
+  function add(code, name, messages) {
+    catalogs[code] = { ...catalogs[code], ...messages };
+    names[code] = name;
+  }
+
+  const languages = () => Object.keys(catalogs).map(code => ({ code, name: names[code] }));
+
+  function setLang(code) {
+    if (!catalogs[code]) return;
+    lang = code;
+    plural = new Intl.PluralRules(code);
+    try { localStorage.setItem(PREF, code); } catch (e) { /* private mode */ }
+  }
+
+  /* ── Static markup ───────────────────────────────
+     The English text is read once from the page and kept
+     on the element, so switching back and forth works.
+  ─────────────────────────────────────────────────── */
+  const ATTRS = { i18nTitle: 'title', i18nPlaceholder: 'placeholder', i18nAria: 'aria-label' };
+
+  function apply(root = document) {
+    document.documentElement.lang = active();
+    for (const el of root.querySelectorAll('[data-i18n]')) {
+      if (!el.dataset.i18n) el.dataset.i18n = el.textContent.trim();
+      el.textContent = t(el.dataset.i18n);
+    }
+    for (const [key, attr] of Object.entries(ATTRS))
+      for (const el of root.querySelectorAll(`[data-${key.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}]`)) {
+        if (!el.dataset[key]) el.dataset[key] = el.getAttribute(attr) || '';
+        el.setAttribute(attr, t(el.dataset[key]));
+      }
+  }
+
+  return { t, unit, list, lang: active, languages, setLang, add, apply };
+})();
@@ -3,125 +3,256 @@
   RENDER.JS — UI Drawing
   ═══════════════════════════════════════════════════
   Reads Game state → writes DOM. Never mutates state.
+  Text goes through I18n.t(); tables below hold the
+  English keys.
 
   PUBLIC API
     Render.all()      — full redraw
     Render.actions()  — action buttons only
     Render.info()     — stats bar only
     Render.progress() — progress bar only
+    Render.share()    — import/export format buttons
   ═══════════════════════════════════════════════════
 */
 const Render = (function () {
 
   const $ = id => document.getElementById(id);
+  const t = I18n.t;
+  const cap = s => s[0].toUpperCase() + s.slice(1);
+
+  /* ── Difficulty buttons ───────────────────────
+     Tooltips come from the tier's rating band, plus the
+     real grade of the loaded puzzle on the active tier.
+  ─────────────────────────────────────────────── */
+  const DIFFS = ['beginner','easy','medium','hard','expert'];
+
+  function diffTip(d) {
+    const {min, max} = Engine.tier(d);
+    const names = Hints.techniques()
+      .filter(tech => tech.rating > min && tech.rating <= max)
+      .map(tech => tech.name);
+    let tip = t('{level} — hardest technique: {names}.', {level: cap(t(d)), names: names.join(' / ')});
+    if (Game.difficulty === d && Game.grade && Game.puzzle) {
+      const clues = Game.puzzle.flat().filter(Boolean).length;
+      tip += '\n' + t('This puzzle: {hardest} · rating {rating} · {n} clues.',
+                      {hardest: Game.grade.hardest, rating: Game.grade.rating.toFixed(1), n: clues});
+    }
+    return tip;
+  }
 
-  /* ── Difficulty buttons ───────────────────────── */
-  const DIFF_TIPS = {
-    beginner: 'Beginner — 51 clues. Perfect for learning.',
-    easy:     'Easy — 43 clues. Great for a relaxed solve.',
-    medium:   'Medium — 35 clues. Scanning techniques needed.',
-    hard:     'Hard — 29 clues. Hidden Singles required.',
-    expert:   'Expert — 25 clues. Advanced techniques needed.'
-  };
+  function dailyTip() {
+    const recs  = dailyRecords();
+    const today = recs[dailyKey()];
+    return t('Daily Puzzle — the same {level} grid for everyone today.', {level: t(DAILY_DIFFICULTY)}) + '\n' +
+      (today ? t('Solved today in {time} ✓', {time: fmt(today.seconds)}) : t('Not solved yet today.')) + '\n' +
+      t('Daily puzzles completed: {n}', {n: Object.keys(recs).length});
+  }
+
+  /* ── Clue-symmetry preference ── */
+  const SYM_ICONS = { rotational:'◐', mirror:'⇋', diagonal:'⤡', none:'∴' };
+
+  function symTip() {
+    return t('Clue layout for new puzzles: {symmetry}. Click to change.', {symmetry: t(Game.symmetryPref)}) + '\n' +
+      t(Game.daily ? 'This puzzle: {symmetry} (daily puzzles are always rotational).' : 'This puzzle: {symmetry}.',
+        {symmetry: t(Game.symmetry)});
+  }
+
+  /* ── Board size preference ── */
+  function sizeTip() {
+    return t('Board size: {n}×{n}.', {n: Game.size}) + ' ' +
+      (Game.size > 9 ? t('Digits run 0-9 then A-F (keys 0-9, A-F).') : t('Digits 1-{n}.', {n: Game.size})) +
+      '\n' + t('Click to switch size and start a new puzzle.');
+  }
+
+  /* ── Variant preference ── */
+  const VARIANT_ICONS = { classic:'▦', x:'✕', jigsaw:'⧉', killer:'∑' };
+
+  function variantTip() {
+    return t('Variant: {variant}.', {variant: t(VARIANT_NAMES[Game.variant])}) + ' ' + t(VARIANT_RULES[Game.variant]) + '\n' +
+      t('Click to switch variant and start a new puzzle.');
+  }
 
   function difficulty() {
-    $('dB').innerHTML = ['beginner','easy','medium','hard','expert']
-      .map(d => `<button class="dbtn${Game.difficulty===d?' on':''}"
-        onclick="newGame('${d}')" title="${DIFF_TIPS[d]}">${d}</button>`)
-      .join('');
+    const solvedToday = !!dailyRecords()[dailyKey()];
+    $('dB').innerHTML = DIFFS
+      .map(d => `<button class="dbtn${Game.difficulty===d && !Game.daily?' on':''}"
+        onclick="newGame('${d}')" title="${diffTip(d)}">${t(d)}</button>`)
+      .join('') +
+      `<button class="dbtn${Game.daily?' on':''}" onclick="newDaily()"
+        title="${dailyTip()}">📅 ${t('daily')}${solvedToday?' ✓':''}</button>` +
+      `<button class="dbtn" onclick="cycleSymmetry()"
+        title="${symTip()}">${SYM_ICONS[Game.symmetryPref]} ${t(Game.symmetryPref)}</button>` +
+      `<button class="dbtn${Game.variant!=='classic'?' on':''}" onclick="cycleVariant()"
+        title="${variantTip()}">${VARIANT_ICONS[Game.variant]} ${t(VARIANT_NAMES[Game.variant])}</button>` +
+      `<button class="dbtn${Game.size!==9?' on':''}" onclick="cycleSize()"
+        title="${sizeTip()}">⊞ ${Game.size}×${Game.size}</button>` +
+      `<button class="dbtn${Game.entry?' on':''}" onclick="enterPuzzle()"
+        title="${t('Type in a puzzle from a book or newspaper and get tutoring on it.')}">✎ ${t('enter')}</button>`;
   }
 
   /* ── Stats bar ────────────────────────────────── */
   function info() {
     $('xM').textContent = '❌ ' + Game.mistakes;
-    $('xM').title = 'Mistakes (each costs 15 points)';
+    $('xM').title = t('Mistakes (each costs 15 points)');
     $('xS').textContent = '⚡ ' + Game.score;
-    $('xS').title = 'Score: +10 per cell, +25 for 5+ streak';
+    $('xS').title = t('Score: +10 per cell, +25 for 5+ streak');
     const sk = Game.streak;
     $('xK').textContent = sk >= 3 ? '🔥 ' + sk : '';
-    $('xK').title = sk >= 3 ? `${sk} in a row — bonus active!` : '';
+    $('xK').title = sk >= 3 ? t('{n} in a row — bonus active!', {n: sk}) : '';
     $('xT').textContent = fmt(Game.seconds);
-    $('xT').title = 'Time elapsed';
+    $('xT').title = t('Time elapsed');
   }
 
   /* ── Progress bar ─────────────────────────────── */
   function progress() {
     if (!Game.puzzle) return;
     let filled = 0, total = 0;
-    for (let r = 0; r < 9; r++)
-      for (let c = 0; c < 9; c++)
+    for (let r = 0; r < Game.size; r++)
+      for (let c = 0; c < Game.size; c++)
         if (!Game.puzzle[r][c]) {
           total++;
           if (Game.board[r][c] === Game.solution[r][c]) filled++;
         }
     const pct = total ? Math.round(filled / total * 100) : 100;
     $('pF').style.width = pct + '%';
-    $('pF').title = `${filled} of ${total} cells solved (${pct}%)`;
+    $('pF').title = t('{filled} of {total} cells solved ({pct}%)', {filled, total, pct});
+  }
+
+  /* ── Variant geometry ─────────────────────────
+     Class strings per cell, worked out from the active
+     layout rather than fixed CSS positions:
+       rb / bb     — thick right / bottom edge (region border)
+       re / be     — last column / row (no inner grid line)
+       dg          — on an X-Sudoku diagonal
+       kc + kt/kr/kb/kl — inside a Killer cage, with a dashed
+                     line on each side that leaves the cage
+     sums[i] is the cage total shown in a cage's first cell.
+  ─────────────────────────────────────────────── */
+  function layoutClasses() {
+    const {regions, units, cages, cageOf, size: n, cells} = Engine.layout();
+    const borders = [], extra = Array(cells).fill(''), sums = [];
+    for (let i = 0; i < cells; i++) {
+      const c = i % n, last = i >= cells - n;
+      borders.push((c === n-1 ? ' re' : regions[i] !== regions[i+1] ? ' rb' : '') +
+                   (last ? ' be' : regions[i] !== regions[i+n] ? ' bb' : ''));
+    }
+    for (const u of units) if (u.type === 'diag') for (const i of u.ids) extra[i] = ' dg';
+    cages.forEach((cage, k) => {
+      const other = j => j < 0 || j >= cells || cageOf[j] !== k;
+      for (const i of cage.ids) {
+        const c = i % n;
+        extra[i] += ' kc' + (other(i-n) ? ' kt' : '') + (c === n-1 || other(i+1) ? ' kr' : '') +
+                    (other(i+n) ? ' kb' : '') + (c === 0 || other(i-1) ? ' kl' : '');
+      }
+      sums[Math.min(...cage.ids)] = cage.sum;
+    });
+    return {borders, extra, sums};
   }
 
-  /* ── Board (81 cells) ─────────────────────────── */
+  /* ── Board (size × size cells) ─────────────────
+     Grid and note-grid dimensions go to CSS as custom
+     properties: --n cells per side, --bh × --bw notes
+     per cell (the box shape).
+  ─────────────────────────────────────────────── */
   function board() {
     const el = $('brd');
     el.innerHTML = '';
     const frag = document.createDocumentFragment();
 
+    const {size: n, boxH, boxW} = Engine.layout();
+    const shape = layoutClasses();
+    el.style.setProperty('--n', n);
+    el.style.setProperty('--bh', boxH);
+    el.style.setProperty('--bw', boxW);
+    el.dataset.size = n;
+
     /* Paused: blank grid */
     if (Game.paused) {
-      for (let i = 0; i < 81; i++) {
+      for (let i = 0; i < n*n; i++) {
         const d = document.createElement('div');
-        d.className = 'c';
-        d.dataset.r = (i/9)|0;
-        d.dataset.c = i%9;
-        d.title = 'Game is paused';
+        d.className = 'c' + shape.borders[i];
+        d.dataset.r = (i/n)|0;
+        d.dataset.c = i%n;
+        d.title = t('Game is paused');
         frag.appendChild(d);
       }
       el.appendChild(frag);
       return;
     }
 
+    /* A walkthrough shows the board and candidates its step starts from */
+    const walk  = Game.walk && Game.walk.steps[Game.walk.at];
+    const view  = walk ? walk.board : Game.board;
+    const notes = walk ? walk.cands : Game.notes;
+
     /* Pre-compute selection context once */
-    const conflictSet = new Set(Game.conflicts.map(([r,c]) => r*9+c));
-    const hintIdx     = Game.hint ? Game.hint.row*9 + Game.hint.col : -1;
+    const conflictSet = new Set(Game.conflicts.map(([r,c]) => r*n+c));
+    const hintIdx     = Game.hint ? Game.hint.row*n + Game.hint.col : -1;
     const sel         = Game.selected;
     const [selR, selC] = sel || [-1,-1];
-    const selBR       = sel ? (selR/3)|0 : -1;
-    const selBC       = sel ? (selC/3)|0 : -1;
-    const selVal      = sel ? Game.board[selR][selC] : 0;
+    const selPeers    = new Set(sel ? Engine.peers(selR, selC).map(([r,c]) => r*n+c) : []);
+    const selVal      = sel ? view[selR][selC] : 0;
     const selOk       = sel && selVal && selVal === Game.solution[selR][selC];
 
     /* ── Pre-compute hint highlight sets ─────────
        When a hint is active, we classify every cell as:
          htTarget — the cell to place the digit (gold pulse)
+         htPat    — a cell of the pattern, e.g. a pair (green)
+         htElim   — a cell losing candidates (red tint)
          htPeer   — a cell that eliminates candidates (blue tint)
          htUnit   — part of the relevant unit (very light tint)
          htDim    — everything else (slightly dimmed)
+       htMarks holds single candidates to mark in the
+       note grid, shown even if the player never noted them.
+       Game.hintLevel gates what shows: 1 the unit, 2 the
+       pattern and blockers, 3 the target and eliminations,
+       4 the digit itself. A why-not chain (Game.why) or a
+       walkthrough shows its current step in full instead.
     ─────────────────────────────────────────────── */
     let htTarget = -1;
     const htPeerSet = new Set();
     const htUnitSet = new Set();
+    const htPatSet  = new Set();
+    const htElimSet = new Set();
+    const htMarks   = new Map();   /* idx → Map(digit → 'pattern' | 'elim') */
     let   hintActive = false;
 
-    if (Game.hint && Game.hint.highlight) {
+    const why   = Game.why && Game.why.steps[Game.why.at];
+    const shown = why || walk || Game.hint;
+    const lvl   = why || walk ? HINT_LEVELS.length : Game.hint ? Game.hintLevel : 0;
+    if (shown && shown.highlight) {
       hintActive = true;
-      const hl = Game.hint.highlight;
-      htTarget = hl.target[0]*9 + hl.target[1];
-      for (const [r,c] of hl.peers) htPeerSet.add(r*9+c);
-      for (const [r,c] of hl.unit) htUnitSet.add(r*9+c);
+      const hl = shown.highlight;
+      for (const [r,c] of hl.unit) htUnitSet.add(r*n+c);
+      if (lvl >= 2) {
+        for (const [r,c] of hl.peers) htPeerSet.add(r*n+c);
+        for (const [r,c] of hl.pattern || []) htPatSet.add(r*n+c);
+      }
+      if (lvl >= 3) {
+        if (hl.target) htTarget = hl.target[0]*n + hl.target[1];
+        for (const [r,c] of hl.elim || []) htElimSet.add(r*n+c);
+      }
+      for (const [r,c,d,kind] of hl.cands || []) {
+        if (lvl < (kind === 'elim' ? 3 : 2)) continue;
+        if (!htMarks.has(r*n+c)) htMarks.set(r*n+c, new Map());
+        htMarks.get(r*n+c).set(d, kind);
+      }
     }
+    const g = Engine.glyph;
 
-    for (let r = 0; r < 9; r++) {
-      for (let c = 0; c < 9; c++) {
-        const idx     = r*9+c;
-        const val     = Game.board[r][c];
-        const isGiven = !!Game.puzzle[r][c];
+    for (let r = 0; r < n; r++) {
+      for (let c = 0; c < n; c++) {
+        const idx     = r*n+c;
+        const val     = view[r][c];
+        const isGiven = !!Game.puzzle[r][c] || (Game.entry && !!val);   /* typed givens */
         const div     = document.createElement('div');
-        div.className = 'c';
+        div.className = 'c' + shape.borders[idx] + shape.extra[idx];
         div.dataset.r = r;
         div.dataset.c = c;
 
         /* State flags */
         const isSel  = r===selR && c===selC;
-        const isHL   = sel && !isSel && (r===selR || c===selC || ((r/3|0)===selBR && (c/3|0)===selBC));
+        const isHL   = selPeers.has(idx);
         const isSame = !isSel && val && selVal===val && selOk && val===Game.solution[r][c];
         const isConf = conflictSet.has(idx);
         const isHint = idx===hintIdx;
@@ -135,6 +266,10 @@ const Render = (function () {
         if (hintActive) {
           if (idx === htTarget) {
             div.classList.add('ht-target');   /* gold pulse — place here */
+          } else if (htPatSet.has(idx)) {
+            div.classList.add('ht-pat');      /* green — the pattern itself */
+          } else if (htElimSet.has(idx)) {
+            div.classList.add('ht-elim');     /* red tint — loses candidates */
           } else if (htPeerSet.has(idx) && val) {
             div.classList.add('ht-peer');     /* blue tint — blocking digit */
           } else if (htUnitSet.has(idx)) {
@@ -155,35 +290,46 @@ const Render = (function () {
 
         /* Tooltip */
         if (isGiven) {
-          div.title = `R${r+1}C${c+1} — Given: ${val} (locked)`;
+          div.title = `R${r+1}C${c+1} — ` + t(Game.entry ? 'Given: {d} (Backspace to clear)' : 'Given: {d} (locked)', {d: g(val)});
         } else if (val) {
-          div.title = `R${r+1}C${c+1} — ${val===Game.solution[r][c]?'✓ Correct':'✗ Wrong'}: ${val}`;
+          div.title = `R${r+1}C${c+1} — ` + t(val===Game.solution[r][c] ? '✓ Correct: {d}' : '✗ Wrong: {d}', {d: g(val)});
         } else {
-          const cands = Engine.candidates(Game.board, r, c);
-          div.title = hintActive && idx === htTarget
-            ? `R${r+1}C${c+1} — Place ${Game.hint.value} here!`
-            : `R${r+1}C${c+1} — Candidates: ${[...cands].join(', ')||'none'}`;
+          const cands = walk ? notes[r][c] : Engine.candidates(Game.board, r, c);
+          div.title = `R${r+1}C${c+1} — ` + (hintActive && idx === htTarget && lvl >= 4
+            ? t(why ? 'Would be {d}' : 'Place {d} here!', {d: g(shown.value)})
+            : t('Candidates: {digits}', {digits: [...cands].map(g).join(', ') || t('none')}));
         }
 
         /* Content */
         if (val) {
-          div.textContent = val;
-        } else if (Game.notes[r][c].size) {
+          div.textContent = g(val);
+        } else if (notes[r][c].size || htMarks.has(idx)) {
           const grid = document.createElement('div');
+          const mark = htMarks.get(idx);
           grid.className = 'nt';
-          for (let n = 1; n <= 9; n++) {
+          for (let d = 1; d <= n; d++) {
             const s = document.createElement('span');
-            s.textContent = Game.notes[r][c].has(n) ? n : '';
+            const kind = mark && mark.get(d);
+            s.textContent = notes[r][c].has(d) || kind ? g(d) : '';
+            if (kind) s.className = kind === 'elim' ? 'ht-elim' : 'ht-pat';
             grid.appendChild(s);
           }
           div.appendChild(grid);
         }
 
+        /* Killer: cage sum in the cage's first cell */
+        if (shape.sums[idx]) {
+          const sum = document.createElement('span');
+          sum.className = 'cs';
+          sum.textContent = shape.sums[idx];
+          div.appendChild(sum);
+        }
+
         /* Hint target: show the digit ghosted in the cell */
-        if (hintActive && idx === htTarget && !val) {
+        if (hintActive && idx === htTarget && !val && lvl >= 4) {
           const ghost = document.createElement('span');
           ghost.className = 'ht-ghost';
-          ghost.textContent = Game.hint.value;
+          ghost.textContent = g(shown.value);
           div.appendChild(ghost);
         }
 
@@ -200,13 +346,15 @@ const Render = (function () {
     const soundOn = Game.soundOn;
 
     const btns = [
-      { l: noteMode  ? '✏ Notes ON'   : '✏ Notes',    on: noteMode,  f: 'toggleNotes()',
+      { l: noteMode  ? '✏ Notes ON'   : '✏ Notes',    on: noteMode,  f: 'toggleNotes()',   /* l and tip are catalog keys */
         tip: noteMode ? 'Notes ON — tap a number to pencil in a candidate. Tap again to remove.'
                       : 'Notes OFF — click to enable pencil-note mode. (Keyboard: N)' },
       { l: '✕ Erase',  on: false, f: 'eraseCell()',
         tip: 'Clear the selected cell — removes a digit or all notes. (Keyboard: Backspace)' },
       { l: '↩ Undo',   on: false, f: 'undoMove()',
-        tip: 'Undo the last placement, erasure, or note change. (Keyboard: Ctrl+Z)' },
+        tip: 'Undo the last move and everything it changed — notes, score and streak too. (Keyboard: Ctrl+Z)' },
+      { l: '↪ Redo',   on: false, f: 'redoMove()',
+        tip: 'Redo the last undone move. (Keyboard: Ctrl+Shift+Z or Ctrl+Y)' },
       { l: '📝 Auto',  on: false, f: 'autoNotes()',
         tip: 'Fill all empty cells with their current valid candidates.' },
       { l: checkOn  ? '✓ Check ON'  : '✓ Check OFF', on: checkOn,   f: 'toggleCheck()',
@@ -216,31 +364,45 @@ const Render = (function () {
         tip: soundOn  ? 'Sound ON — click to mute.' : 'Sound OFF — click to enable.' },
       { l: paused   ? '▶ Resume'    : '⏸ Pause',     on: paused,    f: 'togglePause()',
         tip: paused   ? 'Resume the game. (Keyboard: P)' : 'Pause and hide the board. (Keyboard: P)' },
+      { l: '⇄ Share',  on: false, f: 'openShare()',
+        tip: 'Export this puzzle, copy a shareable link, or import one from a book or another app.' },
       { l: Game.strictMode ? '⚡ Strict' : '☁ Relaxed', on: Game.strictMode, f: 'toggleStrict()',
         tip: Game.strictMode ? 'Strict mode: banner appears after 3 mistakes. Click for relaxed play.' : 'Relaxed mode: no interruptions. Click for strict mode.' }
     ];
 
     $('act').innerHTML = btns.map(b =>
-      `<button class="ab${b.on?' on':''}" onclick="${b.f}" title="${b.tip}">${b.l}</button>`
+      `<button class="ab${b.on?' on':''}" onclick="${b.f}" title="${t(b.tip)}">${t(b.l)}</button>`
+    ).join('');
+  }
+
+  /* ── Share dialog format buttons ───────────────── */
+  function share() {
+    $('ioF').innerHTML = Object.entries(Formats.NAMES).map(([k, name]) =>
+      `<button class="dbtn${Game.ioFormat===k?' on':''}" onclick="openShare('${k}')"
+        title="${t('Show this puzzle as {format}', {format: t(name)})}">${t(name)}</button>`
     ).join('');
   }
 
-  /* ── Number pad ───────────────────────────────── */
+  /* ── Number pad ─────────────────────────────────
+     One button per digit; 16×16 wraps to two rows of 8.
+  ─────────────────────────────────────────────── */
   function numpad() {
+    const size = Game.size;
     let h = '';
-    for (let n = 1; n <= 9; n++) {
+    for (let n = 1; n <= size; n++) {
       let placed = 0;
-      for (let r = 0; r < 9; r++)
-        for (let c = 0; c < 9; c++)
+      for (let r = 0; r < size; r++)
+        for (let c = 0; c < size; c++)
           if (Game.board[r][c] === n) placed++;
-      const done = placed >= 9;
+      const done = placed >= size, d = Engine.glyph(n);
       /* Highlight the hint digit on the numpad */
-      const isHintNum = Game.hint && Game.hint.value === n;
+      const isHintNum = Game.hint && Game.hintLevel >= 2 && Game.hint.focus === n;
       h += `<button class="nb${done?' dn':''}${isHintNum?' hn':''}" onclick="placeNumber(${n})"
-        title="${done ? `${n} — all 9 placed ✓` : `Place ${n} — ${placed}/9 placed (Keyboard: ${n})`}"
-        >${n}<small>${placed}/9</small></button>`;
+        title="${done ? t('{d} — all {n} placed ✓', {d, n: size}) : t('Place {d} — {k}/{n} placed (Keyboard: {d})', {d, k: placed, n: size})}"
+        >${d}<small>${placed}/${size}</small></button>`;
     }
     $('nup').innerHTML = h;
+    $('nup').style.setProperty('--np', size > 9 ? size / 2 : size);
   }
 
   /* ── Teaching panel tabs ──────────────────────── */
@@ -250,13 +412,14 @@ const Render = (function () {
       { id:'lessons',    label:'📖 Lessons',    tip:'Structured learning path.' },
       { id:'techniques', label:'🧩 Techniques', tip:'Solving technique reference.' }
     ];
-    $('tbs').innerHTML = TAB_DEFS.map(t =>
-      `<button class="tb${Game.tab===t.id?' on':''}"
-        onclick="Game.tab='${t.id}';Render.all()" title="${t.tip}">${t.label}</button>`
+    $('tbs').innerHTML = TAB_DEFS.map(tab =>
+      `<button class="tb${Game.tab===tab.id?' on':''}"
+        onclick="Game.tab='${tab.id}';Render.all()" title="${t(tab.tip)}">${t(tab.label)}</button>`
     ).join('');
   }
 
   /* ── Teaching panel body ──────────────────────── */
+  /* Technique names stay in English; every other field is a catalog key */
 
   const LESSONS = [
     { title:'The Rules',
@@ -273,7 +436,10 @@ const Render = (function () {
       tip:  'Tap Show Move — the Tutor explains every Hidden Single it finds.' },
     { title:'Notes Mastery',
       body: 'Keep pencil notes current. Place a digit → erase it from all peers. Auto Notes and auto-clear do this for you.',
-      tip:  'Enable Notes (✏), tap Auto Notes to start with a full candidate map.' }
+      tip:  'Enable Notes (✏), tap Auto Notes to start with a full candidate map.' },
+    { title:'Wings',
+      body: 'Cells with just two candidates can force a digit into one of a few cells. Any cell that sees all of them cannot hold that digit.',
+      tip:  'On a hard puzzle, look for a pair cell whose peers hold its two digits plus one shared extra.' }
   ];
 
   const TECHNIQUES = [
@@ -289,14 +455,62 @@ const Render = (function () {
       desc:'Two cells share the same two candidates — those digits are locked to those cells.',
       how: 'Find matching pairs. Remove both digits from all other cells in the unit.',
       ex:  'Two cells show {3,7} → remove 3 and 7 from the rest of the row.' },
-    { name:'Pointing Pair', level:'Intermediate', icon:'④',
+    { name:'Hidden Pair',   level:'Intermediate', icon:'④',
+      desc:'Two digits fit in only the same two cells of a unit — those cells hold nothing else.',
+      how: 'Find two digits with the same two spots in a unit. Clear every other candidate from those cells.',
+      ex:  '3 and 7 only fit R1C2 and R1C5 → remove 1, 4, 9 from both cells.' },
+    { name:'Pointing Pair', level:'Intermediate', icon:'⑤',
       desc:'A digit in a box is restricted to one row or column — eliminate it from that line outside the box.',
       how: 'If a digit only fits in one row within a box, remove it from that row in other boxes.',
       ex:  '5 only in row 2 of box 1 → remove 5 from row 2 in boxes 2 and 3.' },
-    { name:'X-Wing',        level:'Advanced',     icon:'⑤',
+    { name:'Box/Line Reduction', level:'Intermediate', icon:'⑥',
+      desc:'A digit in a row or column is restricted to one box — eliminate it from the rest of that box.',
+      how: 'If a digit only fits inside one box along a row, remove it from the other rows of that box.',
+      ex:  '8 in row 4 only in box 5 → remove 8 from rows 5 and 6 of box 5.' },
+    { name:'X-Wing',        level:'Advanced',     icon:'⑦',
       desc:'A digit in exactly 2 cells of 2 rows forms a rectangle — eliminate it from those columns.',
       how: 'Find the digit in 2 cells per row across 2 rows, same columns. Remove from those columns elsewhere.',
-      ex:  '4 in cols 2 & 7 of rows 3 & 8 → remove 4 from cols 2 & 7 everywhere else.' }
+      ex:  '4 in cols 2 & 7 of rows 3 & 8 → remove 4 from cols 2 & 7 everywhere else.' },
+    { name:'Swordfish',     level:'Advanced',     icon:'⑧',
+      desc:'An X-Wing across 3 rows and 3 columns. Jellyfish is the same with 4.',
+      how: 'Find 3 rows where a digit fits only inside the same 3 columns. Remove it from those columns elsewhere.',
+      ex:  '6 in rows 1, 5, 9 only in cols 2, 4, 8 → remove 6 from cols 2, 4, 8 in other rows.' },
+    { name:'Finned Fish',   level:'Advanced',     icon:'⑨',
+      desc:'A fish with extra spots (fins) in one box. Either the fish holds or a fin does.',
+      how: 'Eliminate only from cover cells that also see every fin — the ones inside the fin box.',
+      ex:  'X-Wing on 3 with a fin in box 3 → remove 3 from the cover column cells in box 3.' },
+    { name:'XY-Wing',       level:'Advanced',     icon:'⑩',
+      desc:'A pivot {X,Y} sees two pincers {X,Z} and {Y,Z}. Whatever the pivot is, one pincer is Z.',
+      how: 'Find a two-candidate pivot and two pincers that share its digits and a third one. Remove Z from cells seeing both pincers.',
+      ex:  'Pivot {4,5}, pincers {4,9} and {5,9} → no cell seeing both pincers can be 9.' },
+    { name:'XYZ-Wing',      level:'Advanced',     icon:'⑪',
+      desc:'Like an XY-Wing, but the pivot holds Z too: {X,Y,Z}. One of the three cells is Z.',
+      how: 'Remove Z only from cells that see the pivot and both pincers.',
+      ex:  'Pivot {3,4,6}, pincers {3,6} and {4,6} in the same box and column → the cell seeing all three loses 6.' },
+    { name:'W-Wing',        level:'Advanced',     icon:'⑫',
+      desc:'Two {X,Y} cells that do not see each other, joined by a unit where X fits only twice. One of them is Y.',
+      how: 'Check that each of the unit\'s two X spots sees one of the cells. Remove Y from cells seeing both.',
+      ex:  'R1C9 and R2C1 are {3,6}; 3 in row 3 fits only R3C1 and R3C9 → cells seeing both lose 6.' },
+    { name:'Simple Coloring', level:'Advanced',   icon:'⑬',
+      desc:'Join a digit\'s conjugate pairs (units where it fits twice) and color them A and B. One color holds the digit.',
+      how: 'Two cells of one color that see each other → that color loses the digit. A cell seeing both colors loses it too.',
+      ex:  '5: R3C5 (A) = R4C5 (B) = R4C8 (A) = R6C7 (B) → R3C7 sees A and B, so it is not 5.' },
+    { name:'X-Chain',       level:'Advanced',     icon:'⑭',
+      desc:'One digit, alternating "only two spots" and "sees" links. One end of the chain holds the digit.',
+      how: 'Start and end on an "only two spots" link. Cells that see both ends lose the digit.',
+      ex:  'If R6C4 is not 4, R6C2 is 4, so R5C1 is not, so R9C1 is 4 → cells seeing R6C4 and R9C1 lose 4.' },
+    { name:'AIC',           level:'Advanced',     icon:'⑮',
+      desc:'Alternating Inference Chain: like an X-Chain, but links may switch digits inside a two-candidate cell.',
+      how: 'Follow "if not this, then that" step by step. One end must be true — remove what contradicts both.',
+      ex:  'If R2C3 is not 9 … so R3C1 is 9 → R3C3, seeing both, cannot be 9.' },
+    { name:'Unique Rectangle', level:'Advanced',  icon:'⑯',
+      desc:'Four corners on two rows, columns and boxes that could swap two digits would give two solutions. Only for puzzles with one solution.',
+      how: 'Find four corners sharing {X,Y}. The extra candidates must break the pattern: keep one, lock them with a pair, or strip X or Y.',
+      ex:  'Three corners are {6,8}, the fourth {2,6,8} → the fourth must be 2.' },
+    { name:'BUG+1',         level:'Advanced',     icon:'⑰',
+      desc:'Every unsolved cell has two candidates except one. That grid would be deadly, so the odd cell breaks it. Only for puzzles with one solution.',
+      how: 'In the three-candidate cell, find the digit that appears three times in its row, column or box. Place it.',
+      ex:  'R3C2 is {5,7,8}; 7 appears three times in row 3 → R3C2 is 7.' }
   ];
 
   const LEVEL_STYLE = {
@@ -305,6 +519,27 @@ const Render = (function () {
     Advanced:     { color:'var(--er)',  bg:'#c45c4a18' }
   };
 
+  /* ── Puzzle info (Engine.analyze report) ────────
+     Techniques come from the logical solve in order
+     of first use; repeated steps are counted.
+  ─────────────────────────────────────────────────── */
+  function puzzleInfo(a) {
+    const row = (k, v) =>
+      `<div style="font-size:.72rem;color:var(--mu);margin-top:3px">${k}: <span style="color:var(--ac)">${v}</span></div>`;
+    const counts = {};
+    for (const tech of a.techniques) counts[tech] = (counts[tech] || 0) + 1;
+    let h = `<div class="tu"><h4>${t('Puzzle Info')}</h4>`;
+    h += row(t('Givens'), a.givens);
+    h += row(t('Solutions'), t(a.unique ? 'exactly one' : a.solutions ? 'more than one' : 'none'));
+    if (a.minimal !== null)
+      h += row(t('Minimal'), a.minimal ? t('yes — every given is needed')
+        : t(['no — {n} given could be removed', 'no — {n} givens could be removed'], {n: a.redundant.length}));
+    h += row(t('Rating'), `${a.rating.toFixed(1)} (${a.hardest || t('none')})`);
+    h += row(t('Logical solve'), t(a.solved ? 'complete' : 'needs techniques beyond the Tutor'));
+    for (const [k, v] of Object.entries(counts)) h += row(k, `${v}×`);
+    return h + '</div>';
+  }
+
   function tabBody() {
     const el = $('tbd');
 
@@ -315,60 +550,124 @@ const Render = (function () {
               <h3 class="mt">${Game.message.title}</h3>
               <p class="mb">${Game.message.body.replace(/\n/g,'<br>')}</p>`;
       }
+      if (Game.entry) {
+        const clues = Game.board.flat().filter(Boolean).length;
+        h += `<div style="margin-top:12px">
+          <button class="hb hg" onclick="startEntered()"
+            title="${t(['Check the {n} given for a single solution and start the clock.', 'Check the {n} givens for a single solution and start the clock.'], {n: clues})}">▶ ${t('Start')}</button>
+          <button class="hb hc-btn" onclick="cancelEntry()"
+            title="${t('Discard these givens and go back to a generated puzzle.')}">✕ ${t('Cancel')}</button></div>`;
+        el.innerHTML = h;
+        return;
+      }
+      if (Game.paused) {
+        h += `<div style="margin-top:12px">
+          <button class="hb hg" onclick="togglePause()"
+            title="${t('Resume the game. (Keyboard: P)')}">▶ ${t('Resume')}</button>` +
+          (Game.restored ? `<button class="hb hc-btn" onclick="newGame(Game.difficulty)"
+            title="${t('Set the saved game aside and start a new {level} puzzle.', {level: t(Game.difficulty)})}">✦ ${t('New Puzzle')}</button>` : '') +
+          '</div>';
+        el.innerHTML = h;
+        return;
+      }
+      if (Game.walk) {
+        const {steps, at} = Game.walk;
+        h += `<div style="margin-top:12px">
+          <button class="hb" onclick="walkStep(-1)"${at ? '' : ' disabled'}
+            title="${t('Step back (←).')}">◀ ${t('Back')}</button>
+          <button class="hb ha" onclick="walkStep(1)"${at < steps.length - 1 ? '' : ' disabled'}
+            title="${t('Step forward (→).')}">${t('Next')} ▶ (${at + 1}/${steps.length})</button>
+          <button class="hb hc-btn" onclick="endWalk()"
+            title="${t('Leave the walkthrough (Esc).')}">✕ ${t('Close')}</button></div>`;
+        h += `<div class="tu"><h4>${t('Timeline')}</h4><div class="tl">` + steps.map((s, i) =>
+          `<span${i === at ? ' class="on"' : ''} onclick="walkTo(${i})"
+            title="${i + 1}. ${s.eliminations ? t(['Removes {n} candidate', 'Removes {n} candidates'], {n: s.eliminations.length})
+                                              : `R${s.row+1}C${s.col+1} = ${Engine.glyph(s.value)}`}">${s.technique}</span>`).join('') +
+          '</div></div>';
+        el.innerHTML = h;
+        return;
+      }
+      if (Game.why) {
+        const {steps, at} = Game.why;
+        h += '<ol class="wy">' + steps.slice(0, at + 1).map((s, i) =>
+          `<li${i === at ? ' class="on"' : ''}>${s.text}</li>`).join('') + '</ol>';
+        h += `<div>
+          <button class="hb" onclick="whyStep(-1)"${at ? '' : ' disabled'}
+            title="${t('Show the previous step on the board.')}">◀ ${t('Back')}</button>
+          <button class="hb ha" onclick="whyStep(1)"${at < steps.length - 1 ? '' : ' disabled'}
+            title="${t('Show the next step on the board.')}">${t('Next')} ▶ (${at + 1}/${steps.length})</button></div>`;
+      }
+      const next = Game.hint && HINT_LEVELS[Game.hintLevel];   /* level still hidden */
       h += `<div style="margin-top:12px">
         <button class="hb ha" onclick="showHint()"
-          title="Highlight the easiest available move with a full explanation.">💡 Show Move</button>`;
-      if (Game.hint) {
+          title="${next ? t('Reveal the {level} (−{cost} points).', {level: t(next.name).toLowerCase(), cost: next.cost})
+                        : t('Find the easiest move and reveal it step by step: nudge, digit, cell, answer.')}">
+          💡 ${next ? t('More ({k}/{n})', {k: Game.hintLevel + 1, n: HINT_LEVELS.length}) : t('Show Move')}</button>
+        <button class="hb${Game.infoOpen?' ha':''}" onclick="togglePuzzleInfo()"
+          title="${t('Givens, uniqueness, minimality and the techniques a logical solve needs.')}">ℹ ${t('Puzzle Info')}</button>
+        <button class="hb" onclick="checkMyNotes()"
+          title="${t("Find notes that leave out a cell's digit or still hold one a placed digit rules out.")}">🔍 ${t('Check My Notes')}</button>
+        <button class="hb${Game.noteHints?' ha':''}" onclick="toggleNoteHints()"
+          title="${t('When on, Show Move starts from your pencil marks instead of every candidate.')}">📝 ${t('Hints From Notes')}</button>
+        <button class="hb" onclick="startWalk()"
+          title="${t(Game.done ? 'Replay the logical solve from the givens to the end, one step at a time.'
+                               : 'Replay the logical solve from here to the end, one step at a time.')}">🧭 ${t('Walk Me Through It')}</button>`;
+      if (Game.hint && Game.hintLevel >= HINT_LEVELS.length) {
+        const p = {d: Engine.glyph(Game.hint.value), cell: `R${Game.hint.row+1}C${Game.hint.col+1}`};
         h += `<button class="hb hg" onclick="applyHint()"
-          title="Place ${Game.hint.value} at R${Game.hint.row+1}C${Game.hint.col+1} automatically.">
-          Place ${Game.hint.value}</button>`;
-        h += `<button class="hb hc-btn" onclick="clearHint()"
-          title="Clear the highlight and return to normal view.">✕ Clear</button>`;
+          title="${t(Game.hint.eliminations ? 'Remove the eliminated candidates from your notes and place {d} at {cell} automatically.'
+                                            : 'Place {d} at {cell} automatically.', p)}">
+          ${t('Place {d}', p)}</button>`;
       }
+      if (Game.hint || Game.why)
+        h += `<button class="hb hc-btn" onclick="clearHint()"
+          title="${t('Clear the highlight and return to normal view.')}">✕ ${t('Clear')}</button>`;
       h += '</div>';
+      if (Game.infoOpen && Game.info) h += puzzleInfo(Game.info);
       if (Object.keys(Game.techUsed).length) {
-        h += '<div class="tu"><h4>Techniques Used This Puzzle</h4>';
+        h += `<div class="tu"><h4>${t('Techniques Used This Puzzle')}</h4>`;
         for (const [k,v] of Object.entries(Game.techUsed))
-          h += `<div style="font-size:.72rem;color:var(--mu);margin-top:3px">${k}: <span style="color:var(--ac)">${v}×</span></div>`;
+          h += `<div style="font-size:.72rem;color:var(--mu);margin-top:3px">${k}: <span style="color:var(--ac)">${v.hints}×</span>
+            · ${t(['{n} level', '{n} levels'], {n: v.levels})}</div>`;
         h += '</div>';
       }
       el.innerHTML = h;
 
     } else if (Game.tab === 'lessons') {
-      let h = '<h3 style="font-family:Georgia,serif;font-size:.95rem;color:var(--ac);margin:0 0 10px">Learning Path</h3>';
+      let h = `<h3 style="font-family:Georgia,serif;font-size:.95rem;color:var(--ac);margin:0 0 10px">${t('Learning Path')}</h3>`;
       LESSONS.forEach((l, i) => {
         const on = Game.lessonIdx === i;
-        h += `<div class="li${on?' on':''}" onclick="Game.lessonIdx=${i};Render.all()" title="Expand lesson ${i+1}">
-          <h4>${i+1}. ${l.title}</h4>
-          ${on ? `<p>${l.body}</p><div class="lt">▶ Try: ${l.tip}</div>` : ''}
+        h += `<div class="li${on?' on':''}" onclick="Game.lessonIdx=${i};Render.all()" title="${t('Expand lesson {n}', {n: i+1})}">
+          <h4>${i+1}. ${t(l.title)}</h4>
+          ${on ? `<p>${t(l.body)}</p><div class="lt">▶ ${t('Try:')} ${t(l.tip)}</div>` : ''}
         </div>`;
       });
-      h += `<div class="us"><h4>🔒 Advanced Lessons</h4>
-        <p>Unlock Naked Pairs, X-Wings, Swordfish and more.</p>
-        <button title="Upgrade for advanced lessons">Upgrade to Pro</button></div>`;
+      h += `<div class="us"><h4>🔒 ${t('Advanced Lessons')}</h4>
+        <p>${t('Unlock Naked Pairs, X-Wings, XY-Wings and more.')}</p>
+        <button title="${t('Upgrade for advanced lessons')}">${t('Upgrade to Pro')}</button></div>`;
       el.innerHTML = h;
 
     } else {
-      let h = '<h3 style="font-family:Georgia,serif;font-size:.95rem;color:var(--ac);margin:0 0 10px">Technique Library</h3>';
-      TECHNIQUES.forEach((t, i) => {
-        const {color, bg} = LEVEL_STYLE[t.level];
+      let h = `<h3 style="font-family:Georgia,serif;font-size:.95rem;color:var(--ac);margin:0 0 10px">${t('Technique Library')}</h3>`;
+      TECHNIQUES.forEach((tech, i) => {
+        const {color, bg} = LEVEL_STYLE[tech.level];
         h += `<details>
-          <summary title="${t.level} technique">
-            <span>${t.icon}</span>
-            <span style="flex:1">${t.name}</span>
-            <span class="tg" style="color:${color};background:${bg}">${t.level}</span>
+          <summary title="${t('{level} technique', {level: t(tech.level)})}">
+            <span>${tech.icon}</span>
+            <span style="flex:1">${tech.name}</span>
+            <span class="tg" style="color:${color};background:${bg}">${t(tech.level)}</span>
           </summary>
           <div class="td">
-            <p style="margin:6px 0;color:var(--gv)">${t.desc}</p>
+            <p style="margin:6px 0;color:var(--gv)">${t(tech.desc)}</p>
             <div class="tx" style="border-left:3px solid var(--ac)">
-              <strong style="color:var(--ac)">How to use</strong>
-              <p style="margin:3px 0 0">${t.how}</p>
+              <strong style="color:var(--ac)">${t('How to use')}</strong>
+              <p style="margin:3px 0 0">${t(tech.how)}</p>
             </div>
             <div class="tx" style="border-left:3px solid var(--ok)">
-              <strong style="color:var(--ok)">Example</strong>
-              <p style="margin:3px 0 0">${t.ex}</p>
+              <strong style="color:var(--ok)">${t('Example')}</strong>
+              <p style="margin:3px 0 0">${t(tech.ex)}</p>
             </div>
-            ${i >= 2 ? '<div style="margin-top:7px;padding:5px 9px;background:#d4a05012;border-radius:4px;font-size:.65rem;color:var(--ac);text-align:center">🔒 Interactive practice in Pro</div>' : ''}
+            ${i >= 2 ? `<div style="margin-top:7px;padding:5px 9px;background:#d4a05012;border-radius:4px;font-size:.65rem;color:var(--ac);text-align:center">🔒 ${t('Interactive practice in Pro')}</div>` : ''}
           </div></details>`;
       });
       el.innerHTML = h;
@@ -388,5 +687,5 @@ const Render = (function () {
     $('brd').classList.toggle('note-mode', Game.noteMode);
   }
 
-  return { all, actions, info, progress };
+  return { all, actions, info, progress, share };
 })();
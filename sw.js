@@ -1,16 +1,21 @@
 // SudokuLab Tutor — Service Worker
 // Caches all app files for offline play
 
-const CACHE = 'sudokulab-tutor-v1';
+const CACHE = 'sudokulab-tutor-v26';
 
 const ASSETS = [
   '/sudoku-tutor/',
   '/sudoku-tutor/index.html',
   '/sudoku-tutor/style.css',
+  '/sudoku-tutor/i18n.js',
+  '/sudoku-tutor/i18n-es.js',
   '/sudoku-tutor/engine.js',
   '/sudoku-tutor/hints.js',
+  '/sudoku-tutor/formats.js',
+  '/sudoku-tutor/bank.js',
   '/sudoku-tutor/render.js',
   '/sudoku-tutor/game.js',
+  '/sudoku-tutor/worker.js',
   '/sudoku-tutor/manifest.json',
 ];
 
@@ -0,0 +1,104 @@
+/*
+  ═══════════════════════════════════════════════════
+  TESTS/UNDO.JS — Undo Round Trip
+  ═══════════════════════════════════════════════════
+  Plays one of every kind of move on a seeded puzzle —
+  placements, a wrong digit, notes, an erase, Auto Notes
+  and an applied hint — then undoes them all and checks
+  the board, notes, score, streak and mistakes are back
+  where they started. Redoing them all must land on the
+  position before the undo.
+
+  RUN
+    node tests/undo.js      — exits 1 on a mismatch
+
+  The game scripts run in a vm context with just enough
+  of a DOM stand-in for render.js and game.js to draw
+  into; nothing is checked on screen.
+  ═══════════════════════════════════════════════════
+*/
+const fs     = require('fs');
+const path   = require('path');
+const vm     = require('vm');
+const assert = require('assert');
+
+const FILES = ['i18n.js', 'i18n-es.js', 'engine.js', 'hints.js', 'formats.js', 'bank.js', 'render.js', 'game.js'];
+
+/* ── DOM stand-in ── */
+function el() {
+  const cls = new Set();
+  return {
+    children: [], dataset: {}, style: { setProperty() {} },
+    innerHTML: '', textContent: '', title: '', value: '', className: '', offsetWidth: 450,
+    classList: {
+      add: (...c) => c.forEach(x => cls.add(x)), remove: (...c) => c.forEach(x => cls.delete(x)),
+      toggle: (c, on = !cls.has(c)) => on ? cls.add(c) : cls.delete(c), contains: c => cls.has(c)
+    },
+    appendChild: ch => ch, remove() {}, addEventListener() {}, removeEventListener() {},
+    getBoundingClientRect: () => ({ left: 0, top: 0 }), focus() {}, select() {}
+  };
+}
+const els = {}, store = {};
+const ctx = vm.createContext({
+  Math, console, performance, setTimeout, clearTimeout,
+  setInterval: () => 0, clearInterval() {}, requestAnimationFrame: () => 0, alert() {},
+  document: {
+    getElementById: id => els[id] || (els[id] = el()),
+    createElement: el, createDocumentFragment: el, querySelectorAll: () => [],
+    addEventListener() {}, body: el(), documentElement: el(), visibilityState: 'visible'
+  },
+  window: { addEventListener() {} }, navigator: {},
+  location: { href: 'http://localhost/', hash: '' }, history: { replaceState() {} },
+  localStorage: { getItem: k => store[k] ?? null, setItem: (k, v) => { store[k] = String(v); }, removeItem: k => { delete store[k]; } }
+});
+/* Scripts share globals through the context, as they do on a page */
+for (const f of FILES)
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', f), 'utf8'), ctx, { filename: f });
+const run = src => vm.runInContext(src, ctx);
+
+/* ── Position as plain data ── */
+const position = () => JSON.parse(run(`JSON.stringify({
+  board: Game.board,
+  notes: Game.notes.map(r => r.map(s => [...s].sort((a, b) => a - b))),
+  score: Game.score, streak: Game.streak, mistakes: Game.mistakes
+})`));
+
+/* ── Play ── */
+run(`startGame(Engine.generate('easy', {seed: 'undo'}), 'easy')`);
+const start = position();
+run(`
+  var empty = [];
+  for (let r = 0; r < 9; r++) for (let c = 0; c < 9; c++) if (!Game.board[r][c]) empty.push([r, c]);
+  var right = ([r, c]) => { selectCell(r, c); placeNumber(Game.solution[r][c]); };
+  var wrong = ([r, c]) => { selectCell(r, c); placeNumber(Game.solution[r][c] % 9 + 1); };
+  var cands = ([r, c]) => [...Engine.candidates(Game.board, r, c)];
+
+  right(empty[0]); right(empty[1]); right(empty[2]);
+  toggleNotes();
+  var [a, b] = cands(empty[3]);
+  selectCell(...empty[3]); placeNumber(a); placeNumber(b); placeNumber(a);
+  selectCell(...empty[4]); placeNumber(cands(empty[4])[0]);
+  toggleNotes();
+  eraseCell();
+  right(empty[4]); eraseCell();
+  wrong(empty[3]);
+  autoNotes();
+  wrong(empty[5]);
+  showHint(); showHint(); showHint(); showHint(); applyHint();
+  right(empty[6]);
+`);
+const end = position();
+assert.notDeepStrictEqual(end, start, 'the moves changed nothing');
+assert.deepStrictEqual(run('Game.history.map(m => m.type).join()'),
+  'place,place,place,note,note,note,note,erase,place,erase,place,auto,place,hint,place', 'every move recorded');
+assert.strictEqual(end.mistakes, 2, 'both wrong digits counted');
+
+/* ── Undo everything, then redo it ── */
+const moves = run('Game.history.length');
+run('while (Game.history.length) undoMove()');
+assert.deepStrictEqual(position(), start, 'undoing every move returns to the start');
+run('while (Game.future.length) redoMove()');
+assert.deepStrictEqual(position(), end, 'redoing every move returns to the end');
+
+console.log(`ok — ${moves} moves undone and redone`);
+process.exit(0);   /* the page's own start-up work is still queued */
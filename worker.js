@@ -0,0 +1,25 @@
+/*
+  ═══════════════════════════════════════════════════
+  WORKER.JS — Off-Thread Puzzle Generation
+  ═══════════════════════════════════════════════════
+  Runs Engine.generate() in a dedicated worker so the
+  page stays responsive while expert grids are carved.
+  Spawned by Engine.generateAsync(); never load it with
+  a <script> tag.
+
+  MESSAGES
+    in  { id, difficulty, params }  — generate() opts minus onProgress
+    out { id, type:'progress', progress }
+        { id, type:'done', result }
+  ═══════════════════════════════════════════════════
+*/
+importScripts('i18n.js', 'engine.js', 'hints.js');   /* grading builds hint text, so Hints needs I18n */
+
+self.onmessage = e => {
+  const { id, difficulty, params } = e.data;
+  const result = Engine.generate(difficulty, {
+    ...params,
+    onProgress: progress => self.postMessage({ id, type:'progress', progress })
+  });
+  self.postMessage({ id, type:'done', result });
+};